@@ -3,73 +3,33 @@ require('dotenv').config();
 const { ethers } = require('ethers');
 const config = require('../src/config');
 const encryption = require('../src/encryption');
-
-// ABI imports (simplified versions)
-const MarketplaceV1ABI = [
-  "function jobsLength() view returns (uint256)",
-  "function getJob(uint256 jobId_) view returns (tuple(uint8 state, bool whitelistWorkers, tuple(address creator, address arbitrator, address worker) roles, string title, string[] tags, bytes32 contentHash, bool multipleApplicants, uint256 amount, address token, uint32 timestamp, uint32 maxTime, string deliveryMethod, uint256 collateralOwed, uint256 escrowId, bytes32 resultHash, uint8 rating, bool disputed))",
-  "function postThreadMessage(uint256 jobId_, bytes32 contentHash_, address recipient) external",
-  "function takeJob(uint256 jobId_, bytes signature_) external"
-];
-
-const MarketplaceDataV1ABI = [
-  "function userRegistered(address) view returns (bool)",
-  "function publicKeys(address) view returns (bytes)"
-];
+const { MarketplaceClient } = require('../src/contracts');
 
 async function main() {
   try {
     console.log("Job Checker Debug Tool");
     console.log("=====================");
     
-    // Initialize provider and wallet
-    const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-    const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+    // Connect to the marketplace of the configured network
+    const client = await MarketplaceClient.fromConfig();
+    const { marketplace, signer: wallet } = client;
     
     console.log(`Using wallet address: ${wallet.address}`);
     
-    // Initialize contract instances
-    const marketplace = new ethers.Contract(
-      process.env.MARKETPLACE_ADDRESS,
-      MarketplaceV1ABI,
-      wallet
-    );
-
-    const marketplaceData = new ethers.Contract(
-      process.env.MARKETPLACE_DATA_ADDRESS,
-      MarketplaceDataV1ABI,
-      wallet
-    );
-    
     // Get total job count
-    const jobCount = await marketplace.jobsLength();
+    const jobCount = await client.getJobsLength();
     console.log(`Total jobs found: ${jobCount}`);
     
     // Check for your job (Job #505)
-    const jobId = process.argv[2] || Number(jobCount) - 1;
+    const jobId = process.argv[2] && !process.argv[2].startsWith('--') ? Number(process.argv[2]) : jobCount - 1;
     console.log(`\nChecking job #${jobId} specifically...`);
     
-    const job = await marketplace.getJob(jobId);
-    
-    // Create properly structured job object
-    const jobObj = {
-      id: jobId,
-      title: job[3] || `Job #${jobId}`,
-      state: Number(job[0]) || 0,
-      roles: {
-        creator: job[2]?.creator || wallet.address,
-        arbitrator: job[2]?.arbitrator || ethers.ZeroAddress,
-        worker: job[2]?.worker || ethers.ZeroAddress
-      },
-      multipleApplicants: Boolean(job[6]),
-      tags: Array.isArray(job[4]) ? job[4] : [],
-      contentHash: job[5] || '0x0000000000000000000000000000000000000000000000000000000000000000',
-    };
+    const jobObj = await client.getJob(jobId);
     
     console.log("\nProcessed Job Details:");
     console.log(`- ID: ${jobObj.id}`);
     console.log(`- Title: ${jobObj.title}`);
-    console.log(`- State: ${jobObj.state}`);
+    console.log(`- State: ${jobObj.stateName}`);
     console.log(`- Multiple Applicants: ${jobObj.multipleApplicants}`);
     console.log(`- Creator: ${jobObj.roles.creator}`);
     console.log(`- Tags: ${jobObj.tags.join(', ')}`);
@@ -77,7 +37,7 @@ async function main() {
     
     // Get content if available
     let content = '';
-    if (jobObj.contentHash && jobObj.contentHash !== '0x0000000000000000000000000000000000000000000000000000000000000000') {
+    if (jobObj.contentHash && jobObj.contentHash !== ethers.ZeroHash) {
       try {
         const contentCid = encryption.hashToCid(jobObj.contentHash);
         console.log(`\nFetching content with CID: ${contentCid}`);
@@ -141,9 +101,9 @@ Would you like to proceed with the development of your Discord bot?
       `;
       
       // Get owner's public key for encryption
-      const ownerPublicKey = await marketplaceData.publicKeys(jobObj.roles.creator);
+      const ownerPublicKey = await client.getPublicKey(jobObj.roles.creator);
       
-      if (!ownerPublicKey || ownerPublicKey === '0x') {
+      if (!ownerPublicKey) {
         console.error("\nOwner public key not available for this job");
         return;
       }
@@ -153,11 +113,15 @@ Would you like to proceed with the development of your Discord bot?
       
       // Publish the application to IPFS
       console.log("\nPublishing application to IPFS...");
-      const { hash } = await encryption.publishToIpfs(applicationMessage, sessionKey);
+      const { hash } = await encryption.publishToIpfs(applicationMessage, sessionKey, undefined, config.encryptionEnvelope ? {
+        sender: wallet.address,
+        recipient: jobObj.roles.creator,
+        jobId
+      } : null);
       console.log(`Application published with hash: ${hash}`);
       
       // Convert hash to bytes32 format
-      const contentHashBytes = ethers.keccak256(ethers.toUtf8Bytes(hash));
+      const contentHashBytes = encryption.cidToHash(hash);
       
       // Post thread message
       console.log(`\nPosting thread message for job ${jobId}...`);
@@ -172,16 +136,8 @@ Would you like to proceed with the development of your Discord bot?
         console.log(`\nJob ${jobId} is non-multipleApplicants, attempting to take it...`);
         
         try {
-          // Get the events length (revision)
-          const eventsLength = await marketplaceData.eventsLength(jobId);
-          
-          // Create and sign the message
-          const messageHash = ethers.keccak256(
-            ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "uint256"], [eventsLength, jobId])
-          );
-          
-          const messageBytes = ethers.getBytes(messageHash);
-          const signature = await wallet.signMessage(messageBytes);
+          // Sign the take request at the job's current revision
+          const signature = await client.signTakeJob(jobId);
           
           // Take the job
           const takeTx = await marketplace.takeJob(jobId, signature);
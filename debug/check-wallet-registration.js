@@ -1,88 +1,61 @@
 // check-wallet-registration.js
 require('dotenv').config();
-const { ethers } = require('ethers');
 const encryption = require('../src/encryption');
-
-// ABI for MarketplaceDataV1
-const MarketplaceDataV1ABI = [
-  "function publicKeys(address) view returns (bytes)",
-  "function userRegistered(address) view returns (bool)",
-  "function users(address) view returns (tuple(address userAddress, bytes publicKey, string name, string bio, string avatar, uint16 ratingSum, uint16 ratingCount))"
-];
+const { MarketplaceClient } = require('../src/contracts');
 
 async function checkWalletRegistration() {
   console.log('Wallet Registration Check Tool');
   console.log('=============================');
   
-  // Initialize provider and wallet
-  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-  const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+  // Connect to the marketplace of the configured network
+  const client = await MarketplaceClient.fromConfig();
+  const { signer: wallet } = client;
   
   console.log(`Using wallet address: ${wallet.address}`);
   
-  // Initialize contract instances
-  const marketplaceData = new ethers.Contract(
-    process.env.MARKETPLACE_DATA_ADDRESS,
-    MarketplaceDataV1ABI,
-    wallet
-  );
-  
   // Check if user is registered
   try {
-    const isRegistered = await marketplaceData.userRegistered(wallet.address);
+    const isRegistered = await client.isRegistered(wallet.address);
     console.log(`\nIs wallet registered: ${isRegistered}`);
     
     if (isRegistered) {
       // Get public key
-      const registeredPublicKey = await marketplaceData.publicKeys(wallet.address);
+      const registeredPublicKey = await client.getPublicKey(wallet.address);
       console.log(`\nRegistered public key: ${registeredPublicKey}`);
       
       // Get user data
       try {
-        const userData = await marketplaceData.users(wallet.address);
+        const userData = await client.getUser(wallet.address);
         console.log('\nUser data:');
-        console.log(`- Address: ${userData.userAddress}`);
+        console.log(`- Address: ${userData.address}`);
         console.log(`- Name: ${userData.name}`);
         console.log(`- Bio: ${userData.bio}`);
-        console.log(`- Rating sum: ${userData.ratingSum}`);
-        console.log(`- Rating count: ${userData.ratingCount}`);
+        console.log(`- Reputation up: ${userData.reputationUp}`);
+        console.log(`- Reputation down: ${userData.reputationDown}`);
       } catch (error) {
         console.log('\nError fetching user data:', error.message);
       }
       
-      // Get encryption signing key from wallet
-      const signingKey = await encryption.getEncryptionSigningKey(wallet);
-      console.log(`\nCalculated public key: ${signingKey.compressedPublicKey}`);
+      console.log(`\nRegistered key is a valid compressed key: ${encryption.isValidPublicKey(registeredPublicKey)}`);
+      
+      // Derive the public key of the wallet
+      const walletPublicKey = await encryption.getEncryptionPublicKey(wallet);
+      console.log(`\nCalculated public key: ${walletPublicKey}`);
       
       // Check if keys match
-      const keysMatch = signingKey.compressedPublicKey === registeredPublicKey;
+      const keysMatch = walletPublicKey.toLowerCase() === (registeredPublicKey || '').toLowerCase();
       console.log(`\nDo keys match? ${keysMatch}`);
       
       if (!keysMatch) {
         console.log('\n⚠️ Your current wallet has a different public key than what is registered on the platform!');
         console.log('This could explain why message decryption is failing.');
-        console.log('\nSuggestion: Re-register your user on the platform using:');
-        console.log(`
-const signingKey = await encryption.getEncryptionSigningKey(wallet);
-await marketplaceData.registerUser(
-  signingKey.compressedPublicKey,
-  "${process.env.AGENT_NAME || 'Your Agent Name'}",
-  "${process.env.AGENT_BIO || 'Your Agent Bio'}",
-  "${process.env.AGENT_AVATAR || 'Your Agent Avatar URL'}"
-);`);
+        console.log('\nThe marketplace cannot change a registered key, so the agent does not apply for jobs with this wallet.');
+        console.log('Run the agent with a new wallet to receive messages it can decrypt.');
       }
     } else {
       console.log('\n⚠️ Your wallet is not registered on the platform!');
       console.log('You need to register before you can send/receive encrypted messages.');
-      console.log('\nSuggestion: Register your user on the platform using:');
-      console.log(`
-const signingKey = await encryption.getEncryptionSigningKey(wallet);
-await marketplaceData.registerUser(
-  signingKey.compressedPublicKey,
-  "${process.env.AGENT_NAME || 'Your Agent Name'}",
-  "${process.env.AGENT_BIO || 'Your Agent Bio'}",
-  "${process.env.AGENT_AVATAR || 'Your Agent Avatar URL'}"
-);`);
+      console.log('\nStart the agent to register it, or run: node debug/register-user.js');
     }
   } catch (error) {
     console.error('Error checking wallet registration:', error);
@@ -0,0 +1,74 @@
+// debug/fetch-deliverable.js
+require('dotenv').config();
+const encryption = require('../src/encryption');
+const deliverables = require('../src/deliverables');
+const { MarketplaceClient } = require('../src/contracts');
+
+async function main() {
+  try {
+    console.log("Deliverable Fetch Tool");
+    console.log("======================");
+
+    const jobId = Number(process.argv[2]);
+    const outputDir = process.argv[3] || `./job-${jobId}-deliverable`;
+
+    if (!Number.isInteger(jobId)) {
+      console.error('Usage: node debug/fetch-deliverable.js <jobId> [outputDir]');
+      process.exit(1);
+    }
+
+    // Connect to the marketplace of the configured network
+    const client = await MarketplaceClient.fromConfig();
+    const wallet = client.signer;
+
+    console.log(`Using wallet address: ${wallet.address}`);
+
+    const job = await client.getJob(jobId);
+
+    if (!job.hasResult) {
+      console.error(`Job #${jobId} has no delivered result`);
+      return;
+    }
+
+    // The result is shared between the creator and the worker
+    const counterparty = job.roles.worker.toLowerCase() === wallet.address.toLowerCase()
+      ? job.roles.creator
+      : job.roles.worker;
+    const counterpartyPublicKey = await client.getPublicKey(counterparty);
+
+    if (!counterpartyPublicKey) {
+      console.error(`No public key registered for ${counterparty}`);
+      return;
+    }
+
+    const sessionKey = await encryption.getSessionKey(wallet, counterpartyPublicKey, jobId);
+    const resultCid = encryption.hashToCid(job.resultHash);
+    console.log(`\nFetching manifest ${resultCid}...`);
+
+    // Files are streamed to disk and verified against the manifest as they arrive
+    const reported = new Map(); // Last milestone printed per file (percent, or MB if the size is unknown)
+    const { manifest, paths } = await deliverables.download(resultCid, sessionKey, outputDir, undefined, ({ path, bytes, total }) => {
+      const milestone = total ? Math.floor(bytes / total * 10) * 10 : Math.floor(bytes / (5 * 1024 * 1024)) * 5;
+
+      if (milestone !== reported.get(path)) {
+        reported.set(path, milestone);
+        console.log(`  ${path}: ${total ? `${milestone}%` : `${milestone} MB`}`);
+      }
+    });
+
+    if (manifest.message) {
+      console.log(`\nMessage:\n${manifest.message.trim()}`);
+    }
+
+    console.log('\nFiles:');
+    for (const file of manifest.files) {
+      console.log(`- ${file.path} (${file.size} bytes, ${file.contentType}, sha256 ${file.sha256})`);
+    }
+
+    console.log(`\nAll files verified, ${paths.length} written to ${outputDir}`);
+  } catch (error) {
+    console.error('Error fetching deliverable:', error);
+  }
+}
+
+main().catch(console.error);
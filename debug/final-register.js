@@ -1,71 +1,33 @@
 // final-register.js
 require('dotenv').config();
-const { ethers } = require('ethers');
-
-// ABI for MarketplaceDataV1
-const MarketplaceDataV1ABI = [
-  "function registerUser(bytes pubkey_, string name_, string bio_, string avatar_) external",
-  "function userRegistered(address) view returns (bool)",
-  "function publicKeys(address) view returns (bytes)"
-];
-
-async function getEncryptionSigningKey(wallet) {
-  // The private key is used to derive the key pair
-  const privateKeyBuffer = Buffer.from(wallet.privateKey.slice(2), 'hex');
-  
-  try {
-    // In ethers v6, we need to use SigningKey to derive the public key
-    console.log('Deriving public key from private key...');
-    const signingKey = new ethers.SigningKey(wallet.privateKey);
-    const publicKey = signingKey.publicKey;
-    console.log(`Full public key: ${publicKey}`);
-    
-    // The publicKey from SigningKey is already in hex format with 0x prefix
-    // We can use this directly or compress it if needed
-    const compressedPublicKey = publicKey;
-    
-    console.log(`Using public key: ${compressedPublicKey}`);
-    
-    return {
-      privateKey: privateKeyBuffer,
-      compressedPublicKey
-    };
-  } catch (error) {
-    console.error('Error deriving public key:', error);
-    throw error;
-  }
-}
+const encryption = require('../src/encryption');
+const { MarketplaceClient } = require('../src/contracts');
 
 async function registerSimpleUser() {
   console.log('Final User Registration Tool');
   console.log('===========================');
   
-  // Initialize provider and wallet
-  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-  const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+  // Connect to the marketplace of the configured network
+  const client = await MarketplaceClient.fromConfig();
+  const { marketplaceData, signer: wallet } = client;
   
   console.log(`Using wallet address: ${wallet.address}`);
   
-  // Initialize contract instance
-  const marketplaceData = new ethers.Contract(
-    process.env.MARKETPLACE_DATA_ADDRESS,
-    MarketplaceDataV1ABI,
-    wallet
-  );
-  
   try {
     // Check if already registered
-    const isRegistered = await marketplaceData.userRegistered(wallet.address);
+    const isRegistered = await client.isRegistered(wallet.address);
     console.log(`\nWallet already registered: ${isRegistered}`);
     
     if (isRegistered) {
       // Get current public key
-      const currentKey = await marketplaceData.publicKeys(wallet.address);
+      const currentKey = await client.getPublicKey(wallet.address);
       console.log(`Currently registered public key: ${currentKey}`);
+      console.log(`Currently registered key is valid: ${encryption.isValidPublicKey(currentKey)}`);
     }
     
-    // Get encryption signing key
-    const signingKey = await getEncryptionSigningKey(wallet);
+    // Derive the compressed public key of the wallet
+    const signingKey = { compressedPublicKey: await encryption.getEncryptionPublicKey(wallet) };
+    console.log(`Using compressed public key: ${signingKey.compressedPublicKey}`);
     
     // Agent details
     const agentName = process.env.AGENT_NAME || 'BotAgent';
@@ -94,10 +56,10 @@ async function registerSimpleUser() {
     console.log('\n✅ User registered successfully!');
     
     // Verify registration
-    const verifyRegistered = await marketplaceData.userRegistered(wallet.address);
+    const verifyRegistered = await client.isRegistered(wallet.address);
     console.log(`\nVerification - Wallet registered: ${verifyRegistered}`);
     
-    const verifyKey = await marketplaceData.publicKeys(wallet.address);
+    const verifyKey = await client.getPublicKey(wallet.address);
     console.log(`Verification - Registered public key: ${verifyKey}`);
     
     console.log('\nYou should now be able to decrypt messages in the EACC interface.');
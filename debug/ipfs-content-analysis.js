@@ -1,16 +1,15 @@
 // ipfs-content-analysis.js
 require('dotenv').config();
-const { ethers } = require('ethers');
 const { createDecipheriv } = require('crypto');
 const fs = require('fs');
+const config = require('../src/config');
 
 async function analyzeIpfsContent() {
   console.log('IPFS Content Analysis Tool');
   console.log('==========================');
   
-  // Initialize provider and wallet
-  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-  const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+  // Load the agent signer
+  const wallet = await config.getSigner();
   
   console.log(`Using wallet address: ${wallet.address}`);
   
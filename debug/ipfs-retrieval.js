@@ -1,17 +1,15 @@
 // ipfs-retrieval.js
 require('dotenv').config();
-const { ethers } = require('ethers');
-const axios = require('axios');
 const fs = require('fs');
-const { createDecipheriv } = require('crypto');
+const config = require('../src/config');
+const encryption = require('../src/encryption');
 
 async function retrieveAndDecryptIpfsContent() {
   console.log('IPFS Content Retrieval Tool');
   console.log('===========================');
   
-  // Initialize provider and wallet
-  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-  const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+  // Load the agent signer
+  const wallet = await config.getSigner();
   
   console.log(`Using wallet address: ${wallet.address}`);
   
@@ -24,44 +22,25 @@ async function retrieveAndDecryptIpfsContent() {
     // Try to retrieve content from IPFS
     console.log(`\nAttempting to retrieve content for IPFS hash: ${ipfsHash}`);
     
-    // Try multiple gateways
-    const gateways = [
-      'https://gateway.pinata.cloud/ipfs/',
-      'https://ipfs.io/ipfs/',
-      'https://cloudflare-ipfs.com/ipfs/',
-      'https://dweb.link/ipfs/'
-    ];
-    
-    let content = null;
-    let successGateway = null;
-    
-    for (const gateway of gateways) {
-      try {
-        const url = `${gateway}${ipfsHash}`;
-        console.log(`Trying gateway: ${url}`);
-        
-        const response = await axios.get(url, { 
-          timeout: 10000,
-          responseType: 'text'
-        });
-        
-        content = response.data;
-        successGateway = gateway;
-        console.log(`Successfully retrieved from ${gateway}`);
-        break;
-      } catch (error) {
-        console.log(`Failed on ${gateway}: ${error.message}`);
-      }
-    }
-    
-    if (!content) {
-      throw new Error('Failed to retrieve content from all IPFS gateways');
-    }
+    // Tries each configured gateway in turn
+    const content = await encryption.getFromIpfs(ipfsHash);
     
     // Save raw content
     fs.writeFileSync(`ipfs_content_${ipfsHash}.raw`, content);
     console.log(`Raw content saved to ipfs_content_${ipfsHash}.raw`);
     
+    // Envelopes carry their metadata in the clear
+    let isEnvelope = false;
+    try {
+      const { ciphertext, ...header } = JSON.parse(content);
+      isEnvelope = Boolean(header.version && ciphertext);
+      if (isEnvelope) {
+        console.log('Content is an encrypted envelope:', header);
+      }
+    } catch (e) {
+      // Legacy content is base64, not JSON
+    }
+    
     // Try to detect if content is base64 encoded
     let isBase64 = false;
     try {
@@ -75,7 +54,7 @@ async function retrieveAndDecryptIpfsContent() {
     }
     
     // If content appears to be base64 encoded, try to decrypt it
-    if (isBase64) {
+    if (isBase64 || isEnvelope) {
       console.log('\nAttempting to decrypt content...');
       
       // Try multiple session key derivation methods
@@ -109,15 +88,13 @@ async function retrieveAndDecryptIpfsContent() {
         }
       ];
       
-      const encryptedData = Buffer.from(content, 'base64');
-      
       for (const method of sessionKeyMethods) {
         try {
           console.log(`\nTrying decryption with ${method.name}...`);
           const sessionKey = await method.derive();
           console.log(`Session key: ${sessionKey}`);
           
-          const decryptedContent = decryptContent(encryptedData, sessionKey);
+          const { content: decryptedContent } = encryption.openEnvelope(content, sessionKey);
           console.log('Decryption successful!');
           console.log('Decrypted content:');
           console.log(decryptedContent);
@@ -140,23 +117,4 @@ async function retrieveAndDecryptIpfsContent() {
   }
 }
 
-function decryptContent(encryptedData, key) {
-  try {
-    const keyBuffer = Buffer.from(key.slice(0, 64), 'hex');
-    const iv = encryptedData.slice(0, 16);
-    const authTag = encryptedData.slice(16, 32);
-    const encrypted = encryptedData.slice(32);
-    
-    const decipher = createDecipheriv('aes-256-gcm', keyBuffer, iv);
-    decipher.setAuthTag(authTag);
-    
-    return Buffer.concat([
-      decipher.update(encrypted),
-      decipher.final()
-    ]).toString('utf8');
-  } catch (error) {
-    throw new Error(`Decryption failed: ${error.message}`);
-  }
-}
-
 retrieveAndDecryptIpfsContent().catch(console.error);
\ No newline at end of file
@@ -1,38 +1,24 @@
 // debug/job-inspector.js
 require('dotenv').config();
-const { ethers } = require('ethers');
-const config = require('../src/config');
-
-// Define ABI for marketplace contract
-const MarketplaceV1ABI = [
-  "function jobsLength() view returns (uint256)",
-  "function getJob(uint256 jobId_) view returns (tuple(uint8 state, bool whitelistWorkers, tuple(address creator, address arbitrator, address worker) roles, string title, string[] tags, bytes32 contentHash, bool multipleApplicants, uint256 amount, address token, uint32 timestamp, uint32 maxTime, string deliveryMethod, uint256 collateralOwed, uint256 escrowId, bytes32 resultHash, uint8 rating, bool disputed))"
-];
+const { MarketplaceClient } = require('../src/contracts');
 
 async function main() {
   try {
     console.log('Job Inspector - Debug Tool');
     console.log('=========================');
     
-    // Initialize provider and wallet
-    const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-    const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+    // Connect to the marketplace of the configured network
+    const client = await MarketplaceClient.fromConfig();
+    const { marketplace, signer: wallet } = client;
     
     console.log(`Using wallet address: ${wallet.address}`);
     
-    // Initialize marketplace contract
-    const marketplace = new ethers.Contract(
-      process.env.MARKETPLACE_ADDRESS, 
-      MarketplaceV1ABI, 
-      wallet
-    );
-    
     // Get total job count
-    const jobCount = await marketplace.jobsLength();
+    const jobCount = await client.getJobsLength();
     console.log(`Total jobs found: ${jobCount}`);
     
     // Get latest job ID (your new job should be here)
-    const latestJobId = Number(jobCount) - 1;
+    const latestJobId = jobCount - 1;
     
     // Get job details for the latest job
     console.log(`\nFetching details for job #${latestJobId}:`);
@@ -68,6 +54,15 @@ async function main() {
       }
     }
     
+    // Compare with the decoding the agent uses
+    const decoded = await client.getJob(latestJobId);
+    console.log('\nDecoded Job:');
+    console.log(`- State: ${decoded.stateName}`);
+    console.log(`- Roles: creator ${decoded.roles.creator}, worker ${decoded.roles.worker}, arbitrator ${decoded.roles.arbitrator}`);
+    console.log(`- Amount: ${decoded.amount} (token ${decoded.token})`);
+    console.log(`- Taken at: ${decoded.timestamp.toISOString()}, max time ${decoded.maxTime}s`);
+    console.log(`- Disputed: ${decoded.disputed}, rating: ${decoded.rating}`);
+    
     console.log('\nJob Inspector complete');
   } catch (error) {
     console.error('Error in Job Inspector:', error);
@@ -1,7 +1,8 @@
 // pinata-test.js
 require('dotenv').config();
 const axios = require('axios');
-const FormData = require('form-data');
+const config = require('../src/config');
+const encryption = require('../src/encryption');
 
 /**
  * Test Pinata IPFS connection
@@ -10,20 +11,22 @@ async function testPinataConnection() {
   console.log('Pinata IPFS Connection Test');
   console.log('=========================');
   
+  const { ipfs } = config;
+  
   // Print configuration (obscuring secrets)
-  console.log(`IPFS API URL: ${process.env.IPFS_API_URL}`);
-  console.log(`IPFS API Key: ${process.env.IPFS_API_KEY ? '****' + process.env.IPFS_API_KEY.slice(-4) : 'Not set'}`);
-  console.log(`IPFS API Secret: ${process.env.IPFS_API_SECRET ? '****' + process.env.IPFS_API_SECRET.slice(-4) : 'Not set'}`);
+  console.log(`IPFS API URL: ${ipfs.apiUrl}`);
+  console.log(`IPFS API Key: ${ipfs.apiKey ? '****' + ipfs.apiKey.slice(-4) : 'Not set'}`);
+  console.log(`IPFS API Secret: ${ipfs.apiSecret ? '****' + ipfs.apiSecret.slice(-4) : 'Not set'}`);
   
   try {
     // 1. Test Pinata authentication using the /data/testAuthentication endpoint
     console.log('\nTesting Pinata authentication...');
     const authResponse = await axios.get(
-      `${process.env.IPFS_API_URL}/data/testAuthentication`,
+      `${ipfs.apiUrl}/data/testAuthentication`,
       {
         headers: {
-          'pinata_api_key': process.env.IPFS_API_KEY,
-          'pinata_secret_api_key': process.env.IPFS_API_SECRET
+          'pinata_api_key': ipfs.apiKey,
+          'pinata_secret_api_key': ipfs.apiSecret
         }
       }
     );
@@ -35,46 +38,17 @@ async function testPinataConnection() {
     console.log('\nTesting file upload to Pinata...');
     const testContent = `This is a test file created at ${new Date().toISOString()}`;
     
-    const form = new FormData();
-    
-    // Add file to form
-    form.append('file', Buffer.from(testContent), {
-      filename: 'test.txt',
-      contentType: 'text/plain',
-    });
-    
-    // Add metadata - FIXED: Using strings instead of boolean/objects
-    const metadata = JSON.stringify({
-      name: `test-upload-${Date.now()}`,
-      keyvalues: {
-        test: "true",  // Changed from boolean to string
-        timestamp: Date.now().toString()  // Convert timestamp to string
-      }
-    });
-    form.append('pinataMetadata', metadata);
-    
-    // Upload to Pinata
-    const uploadResponse = await axios.post(
-      `${process.env.IPFS_API_URL}/pinning/pinFileToIPFS`,
-      form,
-      {
-        maxBodyLength: Infinity,
-        headers: {
-          'Content-Type': `multipart/form-data; boundary=${form._boundary}`,
-          'pinata_api_key': process.env.IPFS_API_KEY,
-          'pinata_secret_api_key': process.env.IPFS_API_SECRET
-        }
-      }
-    );
+    // Upload the same way the agent publishes unencrypted content
+    const upload = await encryption.publishToIpfs(testContent);
     
-    const ipfsHash = uploadResponse.data.IpfsHash;
+    const ipfsHash = upload.hash;
     console.log('✅ File uploaded successfully!');
     console.log(`IPFS Hash: ${ipfsHash}`);
-    console.log(`Pin Size: ${uploadResponse.data.PinSize}`);
+    console.log(`Pin Size: ${upload.size}`);
     
     // 3. Test retrieving the file via gateway
     console.log('\nTesting file retrieval from gateway...');
-    const gatewayUrl = `${process.env.IPFS_GATEWAY_URL || 'https://gateway.pinata.cloud/ipfs/'}${ipfsHash}`;
+    const gatewayUrl = upload.url;
     console.log(`Gateway URL: ${gatewayUrl}`);
     
     const retrieveResponse = await axios.get(gatewayUrl, { timeout: 10000 });
@@ -0,0 +1,68 @@
+// register-user.js
+require('dotenv').config();
+const encryption = require('../src/encryption');
+const { MarketplaceClient } = require('../src/contracts');
+
+async function registerUser() {
+  console.log('User Registration Tool');
+  console.log('======================');
+  
+  // Connect to the marketplace of the configured network
+  const client = await MarketplaceClient.fromConfig();
+  const { marketplaceData, signer: wallet } = client;
+  
+  console.log(`Using wallet address: ${wallet.address}`);
+  
+  try {
+    // Derive the encryption public key from the signer
+    const publicKey = await encryption.getEncryptionPublicKey(wallet);
+    console.log(`\nDerived public key: ${publicKey}`);
+    
+    // A registered key cannot be changed, registerUser reverts for registered addresses
+    if (await client.isRegistered(wallet.address)) {
+      const registeredKey = await client.getPublicKey(wallet.address);
+      console.log(`Registered public key: ${registeredKey}`);
+      
+      if ((registeredKey || '').toLowerCase() === publicKey.toLowerCase()) {
+        console.log('\n✅ User is already registered with the key of this wallet.');
+      } else {
+        console.log('\n⚠️ User is registered with another key, which the marketplace cannot change.');
+        console.log('Messages to this address cannot be decrypted. Use a new wallet for the agent.');
+        process.exitCode = 1;
+      }
+      return;
+    }
+    
+    // Agent details
+    const agentName = process.env.AGENT_NAME || 'BotAgent';
+    const agentBio = process.env.AGENT_BIO || 'AI agent for the EACC marketplace';
+    const agentAvatar = process.env.AGENT_AVATAR || '';
+    
+    console.log('\nAgent details:');
+    console.log(`- Name: ${agentName}`);
+    console.log(`- Bio: ${agentBio}`);
+    console.log(`- Avatar URL: ${agentAvatar}`);
+    
+    // Register user
+    console.log('\nRegistering user...');
+    const tx = await marketplaceData.registerUser(
+      publicKey,
+      agentName,
+      agentBio,
+      agentAvatar
+    );
+    
+    console.log(`Transaction hash: ${tx.hash}`);
+    console.log('Waiting for transaction confirmation...');
+    
+    const receipt = await tx.wait();
+    console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
+    console.log('\n✅ User registered successfully!');
+    console.log('\nYou should now be able to decrypt messages in the EACC interface.');
+  } catch (error) {
+    console.error('Error registering user:', error);
+    process.exitCode = 1;
+  }
+}
+
+registerUser().catch(console.error);
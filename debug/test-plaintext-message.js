@@ -1,34 +1,19 @@
 // test-plaintext-message.js
 require('dotenv').config();
-const { ethers } = require('ethers');
-const config = require('../src/config');
 const encryption = require('../src/encryption');
-
-// Add the publishPlaintextToIpfs function from the previous snippet to your encryption module first!
-
-// ABI imports (simplified versions)
-const MarketplaceV1ABI = [
-  "function postThreadMessage(uint256 jobId_, bytes32 contentHash_, address recipient) external"
-];
+const { MarketplaceClient } = require('../src/contracts');
 
 async function sendTestMessage() {
   try {
     console.log("Test Plaintext Message Tool");
     console.log("===========================");
     
-    // Initialize provider and wallet
-    const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-    const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+    // Connect to the marketplace of the configured network
+    const client = await MarketplaceClient.fromConfig();
+    const { marketplace, signer: wallet } = client;
     
     console.log(`Using wallet address: ${wallet.address}`);
     
-    // Initialize contract instances
-    const marketplace = new ethers.Contract(
-      process.env.MARKETPLACE_ADDRESS,
-      MarketplaceV1ABI,
-      wallet
-    );
-    
     // Job ID to test
     const jobId = 505;
     // Job creator address
@@ -52,7 +37,7 @@ If you can read this message clearly, please respond back with "MESSAGE RECEIVED
     console.log(`Published with hash: ${hash}`);
     
     // Convert hash to bytes32 format for blockchain
-    const contentHashBytes = ethers.keccak256(ethers.toUtf8Bytes(hash));
+    const contentHashBytes = encryption.cidToHash(hash);
     
     // Post thread message
     console.log(`\nPosting thread message for job ${jobId}...`);
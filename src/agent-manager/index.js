@@ -1,7 +1,17 @@
 // src/agent-manager/index.js
 const path = require('path');
+const { ethers } = require('ethers');
 const config = require('../config');
-const connector = require('../connector');
+const networks = require('../networks');
+const reputation = require('../reputation');
+const payments = require('../payments');
+const scheduler = require('../scheduler');
+const deliverables = require('../deliverables');
+const JsonStore = require('../storage');
+const { JobState } = require('../job');
+
+// Rating assumed for agents without enough ratings in a job's categories
+const NEUTRAL_RATING = 3;
 
 /**
  * Manager for specialized agents
@@ -10,6 +20,11 @@ class AgentManager {
   constructor() {
     this.agents = new Map(); // Map of agent name to agent instance
     this.initialized = false;
+    this.pendingJobs = new Set(); // Jobs currently being processed
+    this.watchingJobEvents = new Set(); // Networks whose job events we are subscribed to
+    this.nextJobIndex = new Map(); // Map of network name to the next job index to scan when polling without events
+    this.activeJobsStore = new JsonStore('active-jobs');
+    this.unrestoredJobs = new Map(); // Map of job key to saved active jobs not restored yet
   }
 
   /**
@@ -21,12 +36,16 @@ class AgentManager {
     try {
       console.log('Initializing Agent Manager...');
       
-      // Initialize connector
-      await connector.initialize();
+      // Initialize the connector of every network
+      await networks.initialize();
       
       // Load enabled agents
       await this.loadAgents();
       
+      // Pick up the jobs the agents were working on before a restart
+      this.unrestoredJobs = new Map(Object.entries(this.activeJobsStore.get('jobs', {})));
+      await this.restoreActiveJobs();
+      
       this.initialized = true;
       console.log('Agent Manager initialized successfully');
     } catch (error) {
@@ -51,14 +70,8 @@ class AgentManager {
       try {
         console.log(`Loading agent: ${agentName}`);
         
-        // Import agent module
-        const agentPath = path.join(__dirname, '..', 'agents', agentName);
-        const AgentClass = require(agentPath);
-        
         // Create agent instance with configuration
-        const agent = new AgentClass({
-          config: config.agentConfig[agentName] || {}
-        });
+        const agent = this.createAgent(agentName);
         
         // Initialize agent
         await agent.initialize();
@@ -80,6 +93,91 @@ class AgentManager {
     console.log(`Loaded ${this.agents.size} agents: ${Array.from(this.agents.keys()).join(', ')}`);
   }
 
+  /**
+   * Create an agent instance from its module
+   * @param {string} agentName - Agent name (directory under src/agents)
+   * @returns {BaseAgent} - Agent instance (not initialized)
+   * @private
+   */
+  createAgent(agentName) {
+    const agentPath = path.join(__dirname, '..', 'agents', agentName);
+    const AgentClass = require(agentPath);
+    
+    return new AgentClass({
+      config: config.agentConfig[agentName] || {}
+    });
+  }
+
+  /**
+   * Restore saved active jobs with their current on-chain state
+   * Jobs that cannot be fetched are kept and retried on the next active jobs check
+   * @private
+   */
+  async restoreActiveJobs() {
+    for (const [jobKey, record] of this.unrestoredJobs.entries()) {
+      const agent = this.agents.get(record.agentName);
+      
+      if (!agent) {
+        console.warn(`Agent ${record.agentName} is not enabled, not restoring active job ${jobKey}`);
+        continue;
+      }
+      
+      try {
+        const job = await networks.forJob(record).getJob(record.jobId);
+        const { agentName, jobId, network, ...jobInfo } = record;
+        
+        agent.restoreActiveJob(job, {
+          ...jobInfo,
+          startTime: new Date(jobInfo.startTime),
+          deliveredAt: jobInfo.deliveredAt ? new Date(jobInfo.deliveredAt) : undefined
+        });
+        this.unrestoredJobs.delete(jobKey);
+        console.log(`Restored active job ${jobKey} for agent ${agentName} (status: ${jobInfo.status})`);
+      } catch (error) {
+        console.error(`Error restoring active job ${jobKey}, will retry:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Save the active jobs of every agent, so they survive a restart
+   * The on-chain job and the raw result are left out, the job is fetched again when restored
+   * @private
+   */
+  saveActiveJobs() {
+    const records = Object.fromEntries(this.unrestoredJobs);
+    
+    for (const [name, agent] of this.agents.entries()) {
+      for (const [jobKey, { job, data, ...jobInfo }] of agent.activeJobs.entries()) {
+        records[jobKey] = { ...jobInfo, agentName: name, jobId: job.id, network: job.network };
+      }
+    }
+    
+    this.activeJobsStore.set('jobs', records);
+  }
+
+  /**
+   * Generate a profile bio from the enabled agents' descriptions and tags
+   * Agents that are not loaded yet are instantiated without being initialized
+   * @returns {string} - Bio text
+   */
+  generateProfileBio() {
+    const agents = this.agents.size > 0
+      ? Array.from(this.agents.values())
+      : config.enabledAgents.map(agentName => this.createAgent(agentName));
+    
+    if (agents.length === 0) {
+      return config.agentBio;
+    }
+    
+    const descriptions = agents.map(agent => agent.description.replace(/\.?$/, '.'));
+    const tags = [...new Set(agents.flatMap(agent => agent.tags.map(tag => tag.toLowerCase())))];
+    
+    return tags.length > 0
+      ? `${descriptions.join(' ')} Skills: ${tags.join(', ')}.`
+      : descriptions.join(' ');
+  }
+
   /**
    * Find matching agents for a job
    * @param {Object} job - Job object
@@ -101,6 +199,47 @@ class AgentManager {
     return matchingAgents;
   }
 
+  /**
+   * Rank matching agents by their ratings in the job's categories
+   * Agents averaging below REPUTATION_MIN_RATING are dropped
+   * @param {Object} job - Job object
+   * @param {Array} matchingAgents - Matching agents ({name, agent})
+   * @returns {Array} - Matching agents, best first
+   */
+  rankAgents(job, matchingAgents) {
+    const scored = matchingAgents.map(match => ({
+      ...match,
+      score: reputation.getScore(match.name, job.tags || [])
+    }));
+    
+    return scored
+      .filter(({ name, score }) => {
+        if (score.average === null || score.average >= config.reputationMinRating) return true;
+        console.log(`Agent ${name} averages ${score.average.toFixed(2)} over ${score.count} ratings in these categories`);
+        return false;
+      })
+      .sort((a, b) => (b.score.average ?? NEUTRAL_RATING) - (a.score.average ?? NEUTRAL_RATING));
+  }
+
+  /**
+   * Get reputation stats for our agent wallet
+   * Shown by `npm run profile -- --reputation`
+   * @returns {Object} - Local rating stats ({overall, byAgent, byCategory}) and on-chain counters per network
+   */
+  async getReputationStats() {
+    const onChain = {};
+    for (const connector of networks.all()) {
+      await connector.initialize();
+      const { reputationUp, reputationDown } = await connector.getUser(connector.wallet.address);
+      onChain[connector.network.name] = { reputationUp, reputationDown };
+    }
+    
+    return {
+      ...reputation.getStats(),
+      onChain
+    };
+  }
+
   /**
    * Process a new job
    * @param {Object} job - Job object
@@ -108,8 +247,17 @@ class AgentManager {
   async processJob(job) {
     if (!this.initialized) await this.initialize();
     
+    // The same job can arrive from both the event subscription and the polling fallback
+    if (this.pendingJobs.has(job.key)) {
+      console.log(`Job ${job.key} is already being processed, skipping...`);
+      return;
+    }
+    
+    this.pendingJobs.add(job.key);
+    const connector = networks.forJob(job);
+    
     try {
-      console.log(`Processing job ${job.id}: ${job.title}`);
+      console.log(`Processing job ${job.id} on network ${job.network}: ${job.title}`);
       
       // Get job content
       const content = await connector.getJobContent(job);
@@ -132,10 +280,38 @@ class AgentManager {
       
       console.log(`Found ${matchingAgents.length} matching agents for job ${job.id}`);
       
-      // Use the first matching agent (could implement more sophisticated selection)
-      const { name, agent } = matchingAgents[0];
+      // Prefer agents that score well in this job's categories
+      const rankedAgents = this.rankAgents(job, matchingAgents);
+      
+      if (rankedAgents.length === 0) {
+        console.log(`Matching agents score too low for the categories of job ${job.id}, skipping...`);
+        return;
+      }
+      
+      // Don't apply with an agent that cannot deliver within the job's time limit
+      const fittingAgents = rankedAgents.filter(({ name, agent }) => {
+        const estimate = agent.estimateCompletionTime(job, content);
+        if (scheduler.fitsTimeLimit(job, estimate)) return true;
+        console.log(`Agent ${name} estimates ${estimate} for job ${job.id}, longer than its time limit of ${scheduler.formatDuration(job.maxTime * 1000)}`);
+        return false;
+      });
+      
+      if (fittingAgents.length === 0) {
+        console.log(`No matching agent can deliver job ${job.id} in time, skipping...`);
+        return;
+      }
+      
+      const { name, agent } = fittingAgents[0];
       console.log(`Using agent ${name} for job ${job.id}`);
       
+      // Make sure the application and take would not revert before sending anything
+      const eligibility = await connector.checkEligibility(job);
+      
+      if (!eligibility.eligible) {
+        console.log(`Not applying for job ${job.id} (${eligibility.reason}): ${eligibility.message}`);
+        return;
+      }
+      
       // Create application message
       const applicationMessage = agent.createApplicationMessage(job, content);
       
@@ -148,77 +324,328 @@ class AgentManager {
       }
       
       // If this is a non-multipleApplicants job, attempt to take it
+      let taken = false;
       if (!job.multipleApplicants) {
         console.log(`Job ${job.id} is non-multipleApplicants, attempting to take it...`);
-        await connector.takeJob(job.id);
+        taken = await connector.takeJob(job.id);
+        
+        // Only the worker holding the job can deliver it, our application stays in the thread
+        if (!taken) {
+          console.error(`Failed to take job ${job.id}, not adding it to the active jobs`);
+          return;
+        }
       }
       
       // Add to active jobs
       agent.addActiveJob(job, content);
       
+      // In dry-run mode the take was only simulated, remember it so execution still runs
+      if (config.dryRun && taken) {
+        agent.getActiveJob(job.key).dryRunTaken = true;
+      }
+      
+      this.saveActiveJobs();
+      
       console.log(`Successfully processed job ${job.id}`);
     } catch (error) {
-      console.error(`Error processing job ${job.id}:`, error);
+      console.error(`Error processing job ${job.key}:`, error);
+    } finally {
+      this.pendingJobs.delete(job.key);
     }
   }
 
   /**
    * Process active jobs
+   * Jobs are handled in order of urgency, the closest delivery deadline first
    */
   async processActiveJobs() {
     if (!this.initialized) await this.initialize();
     
+    if (this.unrestoredJobs.size > 0) {
+      await this.restoreActiveJobs();
+    }
+    
+    const entries = [];
+    
     for (const [name, agent] of this.agents.entries()) {
       // Skip if agent has no active jobs
       if (agent.activeJobs.size === 0) continue;
       
       console.log(`Processing ${agent.activeJobs.size} active jobs for agent ${name}`);
       
-      for (const [jobId, jobInfo] of agent.activeJobs.entries()) {
+      for (const [jobKey, jobInfo] of agent.activeJobs.entries()) {
         try {
-          // Get latest job state
-          const currentJob = await connector.getJob(jobId);
-          
-          // Check if we are the worker
-          if (currentJob.roles.worker.toLowerCase() !== connector.wallet.address.toLowerCase()) {
-            console.log(`We are not the worker for job ${jobId}, removing from active jobs`);
-            agent.removeActiveJob(jobId);
-            continue;
-          }
+          // Get latest job state from the network the job was found on
+          const job = await networks.forJob(jobInfo.job).getJob(jobInfo.job.id);
+          entries.push({ name, agent, jobKey, jobInfo, job });
+        } catch (error) {
+          console.error(`Error fetching active job ${jobKey}:`, error);
+        }
+      }
+    }
+    
+    for (const { name, agent, jobKey, jobInfo, job } of scheduler.prioritise(entries)) {
+      try {
+        await this.processActiveJob(name, agent, jobInfo, job);
+      } catch (error) {
+        console.error(`Error processing active job ${jobKey}:`, error);
+      }
+      
+      this.saveActiveJobs();
+    }
+    
+    await this.updatePendingRatings();
+    
+    // Delivered jobs are followed until their escrow is settled, even after leaving the active jobs
+    await payments.followUp();
+  }
+
+  /**
+   * Process a single active job
+   * @param {string} name - Agent name
+   * @param {BaseAgent} agent - Agent working on the job
+   * @param {Object} jobInfo - Active job info
+   * @param {Job} currentJob - Latest job state
+   * @private
+   */
+  async processActiveJob(name, agent, jobInfo, currentJob) {
+    const jobId = currentJob.id;
+    const jobKey = currentJob.key;
+    const connector = networks.forJob(currentJob);
+    
+    // Answer any new messages before acting on the job
+    await this.processThreadMessages(name, agent, currentJob, jobInfo);
+    
+    // Simulated takes never change the on-chain job, so run the rest of the pipeline directly
+    if (jobInfo.dryRunTaken) {
+      await this.processDryRunJob(agent, currentJob, jobInfo);
+      return;
+    }
+    
+    // Open jobs without a worker are ones we applied to and are waiting to be picked for
+    if (currentJob.state === JobState.Open && !currentJob.hasWorker) {
+      return;
+    }
+    
+    // Check if we are the worker
+    if (currentJob.roles.worker.toLowerCase() !== connector.wallet.address.toLowerCase()) {
+      console.log(`We are not the worker for job ${jobKey}, removing from active jobs`);
+      agent.removeActiveJob(jobKey);
+      return;
+    }
+    
+    // Disputed jobs stay taken until the arbitrator decides, send our evidence once
+    if (currentJob.disputed && currentJob.state !== JobState.Closed) {
+      if (!jobInfo.disputeHandled) {
+        await this.processDispute(name, agent, currentJob, jobInfo);
+      }
+      return;
+    }
+    
+    // Check if job is taken and has no result yet
+    if (currentJob.state === JobState.Taken && jobInfo.status === 'started' && !currentJob.hasResult) {
+      const remaining = scheduler.getRemainingTime(currentJob);
+      const deadline = remaining !== null ? ` (${scheduler.formatDuration(remaining)} left before the deadline)` : '';
+      console.log(`Executing job ${jobKey}${deadline}`);
+      
+      // Warn the operator if the agent's estimate no longer fits in the remaining window
+      scheduler.checkDeadline(currentJob, agent.estimateCompletionTime(jobInfo.job, jobInfo.content), name);
+      
+      // Update status
+      agent.updateActiveJob(jobKey, 'executing');
+      
+      // Execute job
+      const result = await agent.executeJob(jobInfo.job, jobInfo.content);
+      
+      // Package result
+      const packagedResult = agent.packageResult(jobInfo.job, jobInfo.content, result);
+      
+      // Deliver result
+      const deliverySuccess = await connector.deliverResult(jobId, packagedResult);
+      
+      if (deliverySuccess) {
+        agent.updateActiveJob(jobKey, 'delivered', { result });
+        jobInfo.deliveredResult = deliverables.isFileSet(packagedResult)
+          ? deliverables.summarize(packagedResult)
+          : packagedResult;
+        jobInfo.deliveredAt = new Date();
+        payments.recordDelivery(name, currentJob);
+        console.log(`Job ${jobKey} delivered successfully`);
+      } else {
+        agent.updateActiveJob(jobKey, 'delivery_failed');
+        console.error(`Failed to deliver job ${jobKey}`);
+      }
+    }
+    // Check if job is completed (including disputes the arbitrator has decided)
+    else if (currentJob.state === JobState.Closed) {
+      const resolution = currentJob.disputed ? ' after dispute' : '';
+      console.log(`Job ${jobKey} is no longer active (state: ${currentJob.stateName}${resolution}), removing from active jobs`);
+      reputation.recordJob(name, currentJob);
+      agent.removeActiveJob(jobKey);
+    }
+  }
+
+  /**
+   * Check closed jobs for ratings given after they were closed
+   */
+  async updatePendingRatings() {
+    for (const record of reputation.getPendingRatings()) {
+      try {
+        const job = await networks.forJob(record).getJob(record.jobId);
+        
+        if (job.rating > 0) {
+          reputation.recordJob(record.agentName, job);
+        }
+      } catch (error) {
+        console.error(`Error checking rating of job ${record.jobId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Notify the agent of a dispute and send an encrypted evidence bundle to the arbitrator
+   * @param {string} name - Agent name
+   * @param {BaseAgent} agent - Agent owning the job
+   * @param {Job} job - Current job
+   * @param {Object} jobInfo - Active job info
+   */
+  async processDispute(name, agent, job, jobInfo) {
+    console.log(`Job ${job.key} is disputed, preparing evidence for arbitrator ${job.roles.arbitrator}`);
+    
+    const connector = networks.forJob(job);
+    
+    if (job.roles.arbitrator === ethers.ZeroAddress) {
+      console.error(`Job ${job.id} is disputed but has no arbitrator, cannot submit evidence`);
+      jobInfo.disputeHandled = true;
+      return;
+    }
+    
+    const disputeDetectedAt = new Date();
+    const thread = await connector.getJobThread(job.id);
+    
+    // Fall back to the on-chain result if it was delivered before a restart
+    let result = jobInfo.deliveredResult || null;
+    if (!result && job.hasResult) {
+      try {
+        result = await connector.getJobResult(job);
+      } catch (error) {
+        console.error(`Could not retrieve delivered result for job ${job.id}:`, error.message);
+      }
+    }
+    
+    const evidence = {
+      jobId: job.id,
+      network: job.network,
+      worker: job.roles.worker,
+      creator: job.roles.creator,
+      result,
+      resultHash: job.hasResult ? job.resultHash : null,
+      thread,
+      timestamps: {
+        started: jobInfo.startTime,
+        delivered: jobInfo.deliveredAt || null,
+        disputeDetected: disputeDetectedAt
+      },
+      transactions: connector.transactions.getJobTransactions(job.id)
+    };
+    
+    let statement = null;
+    try {
+      statement = await agent.onDispute(job, evidence);
+    } catch (error) {
+      console.error(`Agent ${name} failed to handle dispute on job ${job.id}:`, error);
+    }
+    
+    const bundle = {
+      type: 'dispute-evidence',
+      statement,
+      ...evidence,
+      thread: thread.map(({ sender, recipient, timestamp, text, contentHash }) => ({
+        sender,
+        recipient,
+        timestamp,
+        text: text !== null ? text : `[undecryptable, content hash ${contentHash}]`
+      }))
+    };
+    
+    const evidenceSuccess = await connector.postThreadMessage(
+      job.id,
+      JSON.stringify(bundle, null, 2),
+      job.roles.arbitrator
+    );
+    
+    if (evidenceSuccess) {
+      jobInfo.disputeHandled = true;
+      console.log(`Submitted dispute evidence for job ${job.id}`);
+    } else {
+      console.error(`Failed to submit dispute evidence for job ${job.id}, will retry`);
+    }
+  }
+
+  /**
+   * Execute and deliver a job whose take was simulated in dry-run mode
+   * @param {BaseAgent} agent - Agent owning the job
+   * @param {Job} job - Current job
+   * @param {Object} jobInfo - Active job info
+   */
+  async processDryRunJob(agent, job, jobInfo) {
+    console.log(`[dry run] Executing job ${job.key}`);
+    
+    agent.updateActiveJob(job.key, 'executing');
+    
+    const result = await agent.executeJob(jobInfo.job, jobInfo.content);
+    const packagedResult = agent.packageResult(jobInfo.job, jobInfo.content, result);
+    
+    // Delivery is simulated and written to the dry-run report
+    await networks.forJob(job).deliverResult(job.id, packagedResult);
+    
+    agent.removeActiveJob(job.key);
+    console.log(`[dry run] Job ${job.key} finished, see the dry-run report`);
+  }
+
+  /**
+   * Pass new inbound thread messages of a job to its agent and post the agent's replies
+   * @param {string} name - Agent name
+   * @param {BaseAgent} agent - Agent owning the job
+   * @param {Job} job - Current job
+   * @param {Object} jobInfo - Active job info
+   */
+  async processThreadMessages(name, agent, job, jobInfo) {
+    const connector = networks.forJob(job);
+    const ownAddress = connector.wallet.address.toLowerCase();
+    // Only messages after the last handled one are downloaded
+    const thread = await connector.getJobThread(job.id, jobInfo.lastMessageIndex + 1);
+    
+    for (const [position, message] of thread.entries()) {
+      if (message.index <= jobInfo.lastMessageIndex) continue;
+      
+      const isInbound = message.recipient.toLowerCase() === ownAddress &&
+        message.sender.toLowerCase() !== ownAddress;
+      
+      if (isInbound && message.text !== null) {
+        console.log(`New message from ${message.sender} on job ${job.id}, passing to agent ${name}`);
+        
+        try {
+          const reply = await agent.onThreadMessage(job, message, thread.slice(0, position));
           
-          // Check if job status is "Taken" (state === 1)
-          if (currentJob.state === 1 && jobInfo.status === 'started' && !currentJob.resultHash) {
-            console.log(`Executing job ${jobId}`);
-            
-            // Update status
-            agent.updateActiveJob(jobId, 'executing');
+          if (reply) {
+            const replySuccess = await connector.postThreadMessage(job.id, reply, message.sender);
             
-            // Execute job
-            const result = await agent.executeJob(jobInfo.job, jobInfo.content);
-            
-            // Package result
-            const packagedResult = agent.packageResult(jobInfo.job, jobInfo.content, result);
-            
-            // Deliver result
-            const deliverySuccess = await connector.deliverResult(jobId, packagedResult);
-            
-            if (deliverySuccess) {
-              agent.updateActiveJob(jobId, 'delivered', { result });
-              console.log(`Job ${jobId} delivered successfully`);
-            } else {
-              agent.updateActiveJob(jobId, 'delivery_failed');
-              console.error(`Failed to deliver job ${jobId}`);
+            if (!replySuccess) {
+              // Leave the message unhandled so the reply is retried on the next run
+              console.error(`Failed to reply to message ${message.index} on job ${job.id}`);
+              return;
             }
           }
-          // Check if job is completed or disputed
-          else if (currentJob.state > 1) {
-            console.log(`Job ${jobId} is no longer active (state: ${currentJob.state}), removing from active jobs`);
-            agent.removeActiveJob(jobId);
-          }
         } catch (error) {
-          console.error(`Error processing active job ${jobId}:`, error);
+          console.error(`Agent ${name} failed to handle message ${message.index} on job ${job.id}:`, error);
         }
       }
+      
+      jobInfo.lastMessageIndex = message.index;
+      
+      // Saved right away, so a restart does not answer the same message twice
+      this.saveActiveJobs();
     }
   }
 
@@ -228,7 +655,12 @@ class AgentManager {
   startJobMonitoring() {
     console.log('Starting job monitoring...');
     
-    // Poll for new jobs
+    // Discover new jobs from marketplace events (backfills from the persisted cursor)
+    this.startJobEventWatching().catch(error => {
+      console.error('Error starting job event watching:', error);
+    });
+    
+    // Poll for new jobs as a fallback
     this.jobMonitoringInterval = setInterval(async () => {
       try {
         await this.monitorNewJobs();
@@ -247,42 +679,85 @@ class AgentManager {
     }, config.activeJobsPollInterval);
     
     // Initial check
-    this.monitorNewJobs().catch(error => {
-      console.error('Error in initial new jobs check:', error);
-    });
-    
     this.processActiveJobs().catch(error => {
       console.error('Error in initial active jobs check:', error);
     });
   }
 
   /**
-   * Monitor for new jobs
+   * Subscribe to marketplace job events on every network
+   * Networks whose RPC does not support log queries fall back to polling by job index
+   */
+  async startJobEventWatching() {
+    for (const connector of networks.all()) {
+      const networkName = connector.network.name;
+      
+      try {
+        await connector.watchJobEvents(job => this.processJob(job));
+        this.watchingJobEvents.add(networkName);
+      } catch (error) {
+        console.error(`Job event subscription failed on network ${networkName}, falling back to polling:`, error.message);
+        this.watchingJobEvents.delete(networkName);
+        await this.monitorNetworkJobs(connector);
+      }
+    }
+  }
+
+  /**
+   * Monitor for new jobs on every network
+   * A failing network is logged and does not stop the others from being checked
    */
   async monitorNewJobs() {
     if (!this.initialized) await this.initialize();
     
-    try {
-      // Get latest job count
-      const jobCount = await connector.marketplace.jobsLength();
-      console.log(`Found ${jobCount} total jobs`);
-      
-      // Get the latest few jobs (could be configurable)
-      const latestJobCount = 10;
-      const startIdx = Math.max(0, Number(jobCount) - latestJobCount);
-      
-      console.log(`Checking jobs ${startIdx} to ${Number(jobCount) - 1}`);
-      
-      // Get jobs
-      const jobs = await connector.getJobs(startIdx);
-      
-      // Process each job
-      for (const job of jobs) {
-        await this.processJob(job);
+    for (const connector of networks.all()) {
+      try {
+        await this.monitorNetworkJobs(connector);
+      } catch (error) {
+        console.error(`Error monitoring new jobs on network ${connector.network.name}:`, error);
       }
-    } catch (error) {
-      console.error('Error monitoring new jobs:', error);
-      throw error;
+    }
+  }
+
+  /**
+   * Monitor for new jobs on one network
+   * Catches up on job events when subscribed, otherwise scans job indices
+   * @param {EACCConnector} connector - Connector of the network
+   * @private
+   */
+  async monitorNetworkJobs(connector) {
+    const networkName = connector.network.name;
+    
+    if (this.watchingJobEvents.has(networkName)) {
+      try {
+        await connector.syncJobEvents();
+        return;
+      } catch (error) {
+        console.error(`Error syncing job events on network ${networkName}, scanning job indices instead:`, error.message);
+      }
+    }
+    
+    // Get latest job count
+    const jobCount = await connector.client.getJobsLength();
+    console.log(`Found ${jobCount} total jobs on network ${networkName}`);
+    
+    // On the first scan only look at the latest few jobs, afterwards scan everything new
+    const initialJobCount = 10;
+    const startIdx = this.nextJobIndex.has(networkName)
+      ? this.nextJobIndex.get(networkName)
+      : Math.max(0, jobCount - initialJobCount);
+    
+    if (startIdx >= jobCount) return;
+    
+    console.log(`Checking jobs ${startIdx} to ${jobCount - 1} on network ${networkName}`);
+    
+    // Get jobs
+    const jobs = await connector.getJobs(startIdx, jobCount - startIdx);
+    this.nextJobIndex.set(networkName, jobCount);
+    
+    // Process each job
+    for (const job of jobs) {
+      await this.processJob(job);
     }
   }
 
@@ -290,6 +765,13 @@ class AgentManager {
    * Stop job monitoring
    */
   stopJobMonitoring() {
+    for (const networkName of this.watchingJobEvents) {
+      networks.get(networkName).stopWatchingJobEvents().catch(error => {
+        console.error(`Error unsubscribing from job events on network ${networkName}:`, error);
+      });
+    }
+    this.watchingJobEvents.clear();
+    
     if (this.jobMonitoringInterval) {
       clearInterval(this.jobMonitoringInterval);
       this.jobMonitoringInterval = null;
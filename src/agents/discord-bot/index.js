@@ -102,7 +102,7 @@ Hello! I'm a specialized AI agent for creating Discord bots.
 
 After reviewing your requirements, I'd be happy to help you create a custom Discord bot. I have extensive experience developing Discord bots with various features and integrations.
 
-Based on your requirements, I estimate this would be a ${complexity} complexity project that I can deliver within ${estimatedTime}.
+Based on your requirements, I estimate this would be a ${complexity} complexity project that I can deliver within ${estimatedTime} for the offered budget of ${job.formattedAmount}.
 
 My approach would include:
 1. Custom code development based on your requirements
@@ -137,15 +137,18 @@ Would you like to proceed with the development of your Discord bot? Feel free to
     
     // Extract requirements
     const requirements = this.extractRequirements(content);
+    await this.reportProgress(job, 'Started work on the bot, requirements analysed.', 10);
     
     // Generate bot code
     const botCode = await this.generateBotCode(requirements);
+    await this.reportProgress(job, 'Bot code written, preparing documentation.', 70);
     
     // Generate documentation
     const documentation = this.generateDocumentation(requirements);
     
     // Generate deployment instructions
     const deploymentInstructions = this.generateDeploymentInstructions();
+    await this.reportProgress(job, 'Documentation and deployment instructions done, packaging the delivery.', 90);
     
     return {
       botCode,
@@ -155,6 +158,69 @@ Would you like to proceed with the development of your Discord bot? Feel free to
     };
   }
 
+  /**
+   * Answer a message from the job creator
+   * @param {Object} job - Job object
+   * @param {Object} message - Thread message
+   * @param {Array<Object>} history - Earlier thread messages
+   * @returns {string} - Reply message
+   */
+  async onThreadMessage(job, message, history) {
+    const activeJob = this.getActiveJob(job.key);
+    const content = activeJob ? activeJob.content : '';
+    const features = this.identifyFeatures(message.text);
+    const estimatedTime = this.estimateCompletionTime(job, `${content}\n${message.text}`);
+    
+    const featureNote = features.length > 0
+      ? `I'll make sure the bot covers: ${features.join(', ')}.`
+      : 'I\'ll take this into account while building the bot.';
+    
+    return `
+Thanks for your message!
+
+${featureNote}
+
+With these details I still expect to deliver within ${estimatedTime}. The delivery will include the full bot code, documentation and deployment instructions.
+
+If there is anything else you'd like the bot to do, just let me know here.
+    `;
+  }
+
+  /**
+   * Explain the delivered work to the arbitrator
+   * @param {Object} job - Job object
+   * @param {Object} evidence - Evidence gathered for the arbitrator
+   * @returns {string} - Statement for the arbitrator
+   */
+  async onDispute(job, evidence) {
+    const activeJob = this.getActiveJob(job.key);
+    const requirements = activeJob && activeJob.data ? activeJob.data.result.requirements : null;
+    
+    const featureNote = requirements && requirements.features.length > 0
+      ? `The delivered bot implements the requested features: ${requirements.features.join(', ')}.`
+      : 'The delivered bot implements the requirements from the job description.';
+    
+    const threadNote = this.answeredCreatorMessages(evidence)
+      ? ' Every message from the job creator was answered in the job thread.'
+      : '';
+    
+    return `${featureNote} The delivery includes the complete bot code, documentation and deployment instructions.${threadNote}`;
+  }
+
+  /**
+   * Check that every message the job creator sent is followed by a reply from the worker
+   * @param {Object} evidence - Evidence gathered for the arbitrator
+   * @returns {boolean} - Whether the creator wrote at least once and every message was answered
+   * @private
+   */
+  answeredCreatorMessages(evidence) {
+    const senders = (evidence.thread || []).map(message => message.sender.toLowerCase());
+    const lastCreatorMessage = senders.lastIndexOf(evidence.creator.toLowerCase());
+    
+    // A reply after the creator's last message follows every earlier one as well
+    return lastCreatorMessage !== -1 && lastCreatorMessage < senders.lastIndexOf(evidence.worker.toLowerCase());
+  }
+
   /**
    * Estimate completion time for a job
    * @param {Object} job - Job object
@@ -596,37 +662,62 @@ The code is modular and well-commented, making it easy to customize and add new
   }
 
   /**
-   * Package the job result
+   * Package the job result as a ready-to-run project
    * @param {Object} job - Job object
    * @param {string} content - Job content
    * @param {Object} result - Raw job result
-   * @returns {string} - Packaged result content
+   * @returns {Object} - File set with the bot code, package.json, README and .env example
    */
   packageResult(job, content, result) {
-    return `
-# Discord Bot - Complete Solution
+    const packageJson = {
+      name: 'discord-bot',
+      version: '1.0.0',
+      description: (job.title || 'Custom Discord bot').slice(0, 200),
+      main: 'bot.js',
+      scripts: {
+        start: 'node bot.js'
+      },
+      dependencies: {
+        'discord.js': '^14.14.1',
+        dotenv: '^16.3.1'
+      },
+      engines: {
+        node: '>=16.11.0'
+      }
+    };
 
-## Overview
-This package contains your custom Discord bot as requested. The bot has been created based on the requirements you specified in your job post.
+    const readme = `${result.documentation.trim()}
 
-## Bot Code
-\`\`\`javascript
-${result.botCode}
-\`\`\`
+${result.deploymentInstructions.trim()}
+`;
 
-## Documentation
-${result.documentation}
+    const message = `
+# Discord Bot - Complete Solution
 
-## Deployment Instructions
-${result.deploymentInstructions}
+This delivery contains your custom Discord bot as requested, built from the requirements in your job post:
+
+- \`bot.js\` - the bot
+- \`package.json\` - dependencies and the \`npm start\` script
+- \`README.md\` - documentation and deployment instructions
+- \`.env.example\` - copy to \`.env\` and add your bot token
 
 ## Next Steps
-1. Follow the installation and deployment instructions above
+1. Run \`npm install\`, create your \`.env\` and start the bot with \`npm start\`
 2. If you have any questions or need assistance with the bot, please let me know
 3. I'd be happy to help with any additional features or customizations
 
 Thank you for using my services! I hope this Discord bot meets your needs and expectations.
     `;
+
+    return {
+      message,
+      files: [
+        { path: 'bot.js', content: result.botCode },
+        { path: 'package.json', content: JSON.stringify(packageJson, null, 2) + '\n' },
+        { path: 'README.md', content: readme },
+        { path: '.env.example', content: 'DISCORD_TOKEN=your_discord_bot_token\n', contentType: 'text/plain' }
+      ]
+    };
   }
 
   /**
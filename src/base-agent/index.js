@@ -1,4 +1,6 @@
 // src/base-agent/index.js
+const progressReporter = require('../progress');
+
 /**
  * Base class for all EACC agents
  * All specialized agents should extend this class
@@ -12,7 +14,7 @@ class BaseAgent {
       this.name = options.name || 'Generic Agent';
       this.description = options.description || 'A generic EACC agent';
       this.tags = options.tags || [];
-      this.activeJobs = new Map(); // Map of job IDs to job objects
+      this.activeJobs = new Map(); // Map of job keys (network:id) to job objects
     }
   
     /**
@@ -55,9 +57,10 @@ class BaseAgent {
   
     /**
      * Estimate completion time for a job
+     * Compared against the job's `maxTime` before applying and against the remaining time before executing
      * @param {Object} job - Job object
      * @param {string} content - Job content
-     * @returns {string} - Estimated completion time (e.g., "2 days")
+     * @returns {string} - Estimated completion time (e.g., "2 days", "3-4 days", "12 hours")
      */
     estimateCompletionTime(job, content) {
       throw new Error('Method not implemented');
@@ -75,14 +78,53 @@ class BaseAgent {
   
     /**
      * Package the job result
+     * Return text for a single encrypted message, or a file set to deliver several (binary) files
+     * with a manifest: {message, files: [{path, content (string or Buffer) or file (local path), contentType?}]}.
+     * Files given by local path are streamed, so they can be larger than memory
      * @param {Object} job - Job object
      * @param {string} content - Job content
      * @param {any} result - Raw job result
-     * @returns {string} - Packaged result content
+     * @returns {string|Object} - Packaged result content or file set
      */
     packageResult(job, content, result) {
       throw new Error('Method not implemented');
     }
+  
+    /**
+     * Handle a new message from the job creator (or another party) in the job thread
+     * Called for jobs the agent has applied to or is working on
+     * Can be overridden by specialized agents; the default does not reply
+     * @param {Object} job - Job object
+     * @param {Object} message - Message ({sender, recipient, timestamp, text})
+     * @param {Array<Object>} history - Earlier messages in the thread, oldest first (text is null for messages read before a restart)
+     * @returns {string|null} - Reply to post back to the sender, or null for no reply
+     */
+    async onThreadMessage(job, message, history) {
+      return null;
+    }
+  
+    /**
+     * Handle a dispute raised on a job this agent delivered
+     * Can be overridden by specialized agents; the default adds no statement
+     * @param {Object} job - Job object
+     * @param {Object} evidence - Evidence gathered for the arbitrator (result, thread, timestamps, transactions)
+     * @returns {string|null} - Statement to include in the evidence sent to the arbitrator
+     */
+    async onDispute(job, evidence) {
+      return null;
+    }
+    
+    /**
+     * Report progress to the job creator while executing a job
+     * Can be called from `executeJob`; updates are throttled to meaningful milestones
+     * @param {Object} job - Job object
+     * @param {string} message - Progress note
+     * @param {number} percent - Completion percentage (0-100)
+     * @returns {boolean} - True if an update was sent
+     */
+    async reportProgress(job, message, percent) {
+      return progressReporter.report(job, message, percent);
+    }
     
     /**
      * Add a job to the active jobs
@@ -90,50 +132,61 @@ class BaseAgent {
      * @param {string} content - Job content
      */
     addActiveJob(job, content) {
-      this.activeJobs.set(job.id, {
+      this.activeJobs.set(job.key, {
         job,
         content,
         startTime: new Date(),
-        status: 'started'
+        status: 'started',
+        lastMessageIndex: -1 // Index of the last thread message handled
       });
     }
     
+    /**
+     * Restore an active job saved before a restart
+     * @param {Object} job - Current job object
+     * @param {Object} jobInfo - Saved active job info (content, startTime, status, lastMessageIndex, ...)
+     */
+    restoreActiveJob(job, jobInfo) {
+      this.activeJobs.set(job.key, { ...jobInfo, job });
+    }
+    
     /**
      * Update active job status
-     * @param {number} jobId - Job ID
+     * @param {string} jobKey - Job key (`job.key`)
      * @param {string} status - New status
      * @param {any} data - Additional data
      */
-    updateActiveJob(jobId, status, data = null) {
-      if (!this.activeJobs.has(jobId)) {
-        throw new Error(`Job ${jobId} is not active`);
+    updateActiveJob(jobKey, status, data = null) {
+      if (!this.activeJobs.has(jobKey)) {
+        throw new Error(`Job ${jobKey} is not active`);
       }
       
-      const jobInfo = this.activeJobs.get(jobId);
+      const jobInfo = this.activeJobs.get(jobKey);
       jobInfo.status = status;
       
       if (data) {
         jobInfo.data = data;
       }
       
-      this.activeJobs.set(jobId, jobInfo);
+      this.activeJobs.set(jobKey, jobInfo);
     }
     
     /**
      * Get active job
-     * @param {number} jobId - Job ID
+     * @param {string} jobKey - Job key (`job.key`)
      * @returns {Object} - Active job info
      */
-    getActiveJob(jobId) {
-      return this.activeJobs.get(jobId);
+    getActiveJob(jobKey) {
+      return this.activeJobs.get(jobKey);
     }
     
     /**
      * Remove a job from active jobs
-     * @param {number} jobId - Job ID
+     * @param {string} jobKey - Job key (`job.key`)
      */
-    removeActiveJob(jobId) {
-      this.activeJobs.delete(jobId);
+    removeActiveJob(jobKey) {
+      this.activeJobs.delete(jobKey);
+      progressReporter.clear(jobKey);
     }
   }
   
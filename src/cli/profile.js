@@ -0,0 +1,195 @@
+// src/cli/profile.js
+const networks = require('../networks');
+const agentManager = require('../agent-manager');
+const payments = require('../payments');
+
+const USAGE = `Usage: npm run profile -- [options]
+
+Update the agent's on-chain profile on every configured network. Fields that are not given keep their current value.
+
+Options:
+  --name <name>      Display name
+  --bio <bio>        Bio text
+  --auto-bio         Generate the bio from the enabled agents' descriptions and tags
+  --avatar <avatar>  Avatar URL, or path of a local image to upload to IPFS
+  --network <name>   Only update the profile on this network
+  --show             Print the current profile without updating it
+  --reputation       Also print the ratings received per agent and job category (implies --show)
+  --payments         Also print payment totals and the payment of every delivered job (implies --show)
+  --help             Show this help`;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments (without node and script path)
+ * @returns {Object} - Parsed options
+ */
+function parseArgs(argv) {
+  const options = {};
+  const valueOptions = { '--name': 'name', '--bio': 'bio', '--avatar': 'avatar', '--network': 'network' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (valueOptions[arg]) {
+      if (i + 1 >= argv.length) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      options[valueOptions[arg]] = argv[++i];
+    } else if (arg === '--auto-bio') {
+      options.autoBio = true;
+    } else if (arg === '--show') {
+      options.show = true;
+    } else if (arg === '--reputation') {
+      options.reputation = true;
+      options.show = true;
+    } else if (arg === '--payments') {
+      options.payments = true;
+      options.show = true;
+    } else if (arg === '--help') {
+      options.help = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (options.autoBio && options.bio !== undefined) {
+    throw new Error('--bio and --auto-bio cannot be used together');
+  }
+
+  return options;
+}
+
+/**
+ * Print a user profile
+ * @param {Object} user - Profile returned by the connector
+ */
+function printProfile(user) {
+  console.log(`Address:    ${user.address}`);
+  console.log(`Name:       ${user.name}`);
+  console.log(`Bio:        ${user.bio}`);
+  console.log(`Avatar:     ${user.avatar || '(none)'}`);
+  console.log(`Reputation: +${user.reputationUp} / -${user.reputationDown}`);
+}
+
+/**
+ * Format a rating summary
+ * @param {Object} summary - Summary from the reputation tracker ({jobs, rated, average, disputed})
+ * @returns {string} - Summary line
+ */
+function formatRatings(summary) {
+  const average = summary.average !== null ? summary.average.toFixed(2) : 'n/a';
+  return `${average} average over ${summary.rated} rated of ${summary.jobs} jobs (${summary.disputed} disputed)`;
+}
+
+/**
+ * Print reputation stats
+ * @param {Object} stats - Stats from the agent manager ({overall, byAgent, byCategory, onChain})
+ */
+function printReputation(stats) {
+  console.log('\nRatings received');
+  console.log(`Overall:    ${formatRatings(stats.overall)}`);
+
+  for (const [agentName, summary] of Object.entries(stats.byAgent)) {
+    console.log(`Agent ${agentName}: ${formatRatings(summary)}`);
+  }
+
+  for (const [category, summary] of Object.entries(stats.byCategory)) {
+    console.log(`Category ${category}: ${formatRatings(summary)}`);
+  }
+
+  for (const [networkName, { reputationUp, reputationDown }] of Object.entries(stats.onChain)) {
+    console.log(`On-chain (${networkName}): +${reputationUp} / -${reputationDown}`);
+  }
+}
+
+/**
+ * Print payment totals and the tracked payment of each delivered job
+ */
+function printPayments() {
+  console.log('\nPayments');
+
+  const records = payments.getPayments();
+  if (records.length === 0) {
+    console.log('No delivered jobs yet');
+    return;
+  }
+
+  for (const [token, byStatus] of Object.entries(payments.getSummary())) {
+    const totals = Object.entries(byStatus).map(([status, amount]) => `${amount} ${status}`);
+    console.log(`Total ${token}: ${totals.join(', ')}`);
+  }
+
+  for (const payment of records) {
+    const settled = payment.settledAt ? `, settled ${payment.settledAt}` : '';
+    console.log(`Job ${payment.network}:${payment.jobId} (${payment.agentName}): ${payments.formatAmount(payment)} ${payment.status}, delivered ${payment.deliveredAt}${settled}`);
+  }
+}
+
+/**
+ * Entry point for the profile command
+ */
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const connectors = options.network ? [networks.get(options.network)] : networks.all();
+
+  for (const connector of connectors) {
+    await connector.initialize();
+  }
+
+  if (!options.show) {
+    if (options.autoBio) {
+      options.bio = agentManager.generateProfileBio();
+      console.log(`Generated bio: ${options.bio}`);
+    }
+
+    const { name, bio, avatar } = options;
+    if (name === undefined && bio === undefined && avatar === undefined) {
+      console.error('Nothing to update.');
+      console.error(USAGE);
+      process.exit(1);
+    }
+
+    let failed = false;
+    for (const connector of connectors) {
+      if (!await connector.updateProfile({ name, bio, avatar })) {
+        console.error(`Profile update failed on network ${connector.network.name}`);
+        failed = true;
+      }
+    }
+
+    if (failed) {
+      process.exit(1);
+    }
+  }
+
+  for (const connector of connectors) {
+    console.log(`\nNetwork:    ${connector.network.name}`);
+    printProfile(await connector.getUser(connector.wallet.address));
+  }
+
+  if (options.reputation) {
+    printReputation(await agentManager.getReputationStats());
+  }
+
+  if (options.payments) {
+    printPayments();
+  }
+}
+
+main().catch(error => {
+  console.error('Profile update failed:', error);
+  process.exit(1);
+});
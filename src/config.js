@@ -1,6 +1,9 @@
 // src/config.js
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
 const { ethers } = require('ethers');
+const { signerLoader } = require('./signer');
 
 /**
  * Configuration module for EACC Agent Framework
@@ -16,9 +19,32 @@ class Config {
    * Load configuration from environment variables
    */
   loadConfig() {
+    // Offline mode: use the in-process fake marketplace and IPFS instead of the network
+    this.fakeMarketplace = process.env.FAKE_MARKETPLACE === 'true';
+    this.fakeMarketplaceSeed = process.env.FAKE_MARKETPLACE_SEED || null;
+
     // Blockchain configuration
-    this.rpcUrl = process.env.RPC_URL;
+    // RPC_URLS takes a comma-separated list of endpoints, in order of preference
+    this.rpcUrls = (process.env.RPC_URLS || process.env.RPC_URL || '')
+      .split(',')
+      .map(url => url.trim())
+      .filter(Boolean);
+    this.rpcUrl = this.rpcUrls[0];
+    this.chainId = process.env.CHAIN_ID ? parseInt(process.env.CHAIN_ID, 10) : null;
+    this.rpcQuorum = parseInt(process.env.RPC_QUORUM || '1', 10);
+    this.rpcStallTimeout = parseInt(process.env.RPC_STALL_TIMEOUT || '2000', 10);
+    this.rpcHealthCheckInterval = parseInt(process.env.RPC_HEALTH_CHECK_INTERVAL || '60000', 10);
+    this.rpcMaxBlockLag = parseInt(process.env.RPC_MAX_BLOCK_LAG || '10', 10);
     this.privateKey = process.env.PRIVATE_KEY;
+    // Alternatives to a raw PRIVATE_KEY: an encrypted JSON keystore or a separate signing process
+    this.keystorePath = process.env.KEYSTORE_PATH || null;
+    this.keystorePassword = process.env.KEYSTORE_PASSWORD;
+    this.remoteSignerUrl = process.env.REMOTE_SIGNER_URL || null;
+    this.remoteSignerAddress = process.env.REMOTE_SIGNER_ADDRESS || null;
+
+    if (this.fakeMarketplace && !this.privateKey && !this.keystorePath && !this.remoteSignerUrl) {
+      this.privateKey = ethers.Wallet.createRandom().privateKey;
+    }
     this.marketplaceAddress = process.env.MARKETPLACE_ADDRESS;
     this.marketplaceDataAddress = process.env.MARKETPLACE_DATA_ADDRESS;
 
@@ -27,6 +53,16 @@ class Config {
     this.ipfsApiKey = process.env.IPFS_API_KEY;
     this.ipfsApiSecret = process.env.IPFS_API_SECRET;
     this.ipfsGatewayUrl = process.env.IPFS_GATEWAY_URL || 'https://gateway.pinata.cloud/ipfs/';
+
+    // IPFS downloads: time for a gateway to respond, and longest pause between received chunks
+    this.ipfsConnectTimeout = parseInt(process.env.IPFS_CONNECT_TIMEOUT || '10000', 10);
+    this.ipfsIdleTimeout = parseInt(process.env.IPFS_IDLE_TIMEOUT || '30000', 10);
+    
+    // Plaintext bytes per authenticated chunk of streamed encryption
+    this.encryptionChunkSize = parseInt(process.env.ENCRYPTION_CHUNK_SIZE || String(64 * 1024), 10);
+    
+    // Wrap thread messages and text results in the versioned envelope instead of the raw format the web app reads
+    this.encryptionEnvelope = process.env.ENCRYPTION_ENVELOPE === 'true';
     
     // Add Pinata-specific configuration
     this.pinataMetadataTemplate = {
@@ -61,6 +97,81 @@ class Config {
     this.jobPollInterval = parseInt(process.env.JOB_POLL_INTERVAL || '60000', 10);
     this.activeJobsPollInterval = parseInt(process.env.ACTIVE_JOBS_POLL_INTERVAL || '120000', 10);
 
+    // Job event discovery
+    // Block to backfill from when no cursor has been persisted yet (defaults to the latest block)
+    // The fake marketplace starts from an empty chain on every run, so always read it from the start
+    this.jobEventsStartBlock = process.env.JOB_EVENTS_START_BLOCK
+      ? parseInt(process.env.JOB_EVENTS_START_BLOCK, 10)
+      : (this.fakeMarketplace ? 0 : null);
+    this.jobEventsBlockRange = parseInt(process.env.JOB_EVENTS_BLOCK_RANGE || '10000', 10);
+
+    // Payment tokens
+    // Tokens are matched by address only, since anyone can deploy a token whose symbol() says "USDC".
+    // Symbols below are resolved through TOKEN_ADDRESSES (e.g. "USDC:0xaf88...") or a network's "tokens"
+    this.tokenAddresses = this.parseTokenList(process.env.TOKEN_ADDRESSES, address => address.toLowerCase());
+
+    // Symbols or addresses of the tokens we accept payment in (empty accepts all tokens)
+    this.allowedTokens = (process.env.ALLOWED_TOKENS || '')
+      .split(',')
+      .map(token => token.trim().toLowerCase())
+      .filter(Boolean);
+
+    // Minimum budgets per token symbol or address, e.g. "USDC:50,ETH:0.02"
+    this.minJobBudgets = this.parseTokenList(process.env.MIN_JOB_BUDGETS, amount => amount);
+
+    // Default IPFS settings, used by networks without their own
+    this.ipfs = this.getIpfsSettings({});
+
+    // Networks to work on, each with its own RPC, contracts and IPFS settings
+    // NETWORKS_FILE points to a JSON array of profiles; without it the variables above form a single network
+    this.networks = process.env.NETWORKS_FILE
+      ? JSON.parse(fs.readFileSync(process.env.NETWORKS_FILE, 'utf8')).map(profile => this.createNetwork(profile))
+      : [this.createNetwork({
+        name: process.env.NETWORK_NAME || 'default',
+        rpcUrls: this.rpcUrls,
+        chainId: this.chainId,
+        marketplaceAddress: this.marketplaceAddress,
+        marketplaceDataAddress: this.marketplaceDataAddress
+      })];
+
+    // Dry-run mode: simulate every marketplace write and upload to a local store instead of IPFS
+    this.dryRun = process.env.DRY_RUN === 'true';
+
+    // Transaction settings
+    this.txGasLimitCeiling = BigInt(process.env.TX_GAS_LIMIT_CEILING || '10000000');
+    this.txGasBufferPercent = parseInt(process.env.TX_GAS_BUFFER_PERCENT || '20', 10);
+    this.txMaxRetries = parseInt(process.env.TX_MAX_RETRIES || '3', 10);
+    this.txRetryDelay = parseInt(process.env.TX_RETRY_DELAY || '2000', 10);
+    this.txConfirmTimeout = parseInt(process.env.TX_CONFIRM_TIMEOUT || '120000', 10);
+    this.txPollInterval = parseInt(process.env.TX_POLL_INTERVAL || '4000', 10);
+    this.txMaxReplacements = parseInt(process.env.TX_MAX_REPLACEMENTS || '3', 10);
+    this.txFeeBumpPercent = parseInt(process.env.TX_FEE_BUMP_PERCENT || '20', 10);
+
+    // Local state (block cursors etc.)
+    this.dataDir = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+
+    // Only apply for jobs that have an arbitrator
+    this.requireArbitrator = process.env.REQUIRE_ARBITRATOR === 'true';
+
+    // Reputation
+    // How long to keep checking closed jobs for a late rating
+    this.reputationRatingWindow = parseInt(process.env.REPUTATION_RATING_WINDOW || String(14 * 24 * 60 * 60 * 1000), 10);
+    // Ratings needed in a category before it affects agent selection
+    this.reputationMinSamples = parseInt(process.env.REPUTATION_MIN_SAMPLES || '3', 10);
+    // Skip categories where the agent averages below this rating (0 disables)
+    this.reputationMinRating = parseFloat(process.env.REPUTATION_MIN_RATING || '0');
+
+    // Payments
+    // Remind the creator to approve a delivery once it has been pending this long (ms)
+    this.paymentReminderAfter = parseInt(process.env.PAYMENT_REMINDER_AFTER || String(3 * 24 * 60 * 60 * 1000), 10);
+    // Reminders sent per delivery at most (0 disables reminders)
+    this.paymentMaxReminders = parseInt(process.env.PAYMENT_MAX_REMINDERS || '2', 10);
+
+    // Progress updates sent to creators as encrypted thread messages while a job is executing
+    // An update is only sent once progress advanced this many percent or the interval passed
+    this.progressMinStep = parseInt(process.env.PROGRESS_MIN_STEP || '25', 10);
+    this.progressMinInterval = parseInt(process.env.PROGRESS_MIN_INTERVAL || String(30 * 60 * 1000), 10);
+
     // Relevant tags
     this.relevantTags = (process.env.RELEVANT_TAGS || 'bot,automation')
       .split(',')
@@ -99,24 +210,136 @@ class Config {
     this.logLevel = process.env.LOG_LEVEL || 'info';
   }
 
+  /**
+   * Parse a comma-separated list of `token:value` pairs
+   * @param {string} [list] - List, e.g. "USDC:50,ETH:0.02"
+   * @param {Function} mapValue - Conversion of each value
+   * @returns {Object} - Map of lowercase token symbol or address to value
+   */
+  parseTokenList(list, mapValue) {
+    return Object.fromEntries(
+      (list || '')
+        .split(',')
+        .map(entry => entry.split(':').map(part => part.trim()))
+        .filter(([token, value]) => token && value)
+        .map(([token, value]) => [token.toLowerCase(), mapValue(value)])
+    );
+  }
+
+  /**
+   * Build a network profile, falling back to the global settings for missing fields
+   * @param {Object} profile - Profile from NETWORKS_FILE
+   * @returns {Object} - Network ({name, chainId, rpcUrls, rpcQuorum, marketplaceAddress, marketplaceDataAddress, jobEventsStartBlock, ipfs,
+   *   tokens, allowedTokens, minJobBudgets})
+   */
+  createNetwork(profile) {
+    const rpcUrls = typeof profile.rpcUrls === 'string'
+      ? profile.rpcUrls.split(',').map(url => url.trim()).filter(Boolean)
+      : profile.rpcUrls || (profile.rpcUrl ? [profile.rpcUrl] : []);
+
+    // Token symbols known on this network, native ETH is the zero address everywhere
+    const tokens = {
+      eth: ethers.ZeroAddress,
+      ...this.tokenAddresses,
+      ...Object.fromEntries(Object.entries(profile.tokens || {}).map(([symbol, address]) => [symbol.toLowerCase(), address.toLowerCase()]))
+    };
+    const resolveToken = token => tokens[token] || token;
+
+    return {
+      name: profile.name || `chain-${profile.chainId}`,
+      chainId: profile.chainId || null,
+      rpcUrls,
+      rpcQuorum: profile.rpcQuorum || this.rpcQuorum,
+      marketplaceAddress: profile.marketplaceAddress,
+      marketplaceDataAddress: profile.marketplaceDataAddress,
+      jobEventsStartBlock: profile.jobEventsStartBlock !== undefined ? profile.jobEventsStartBlock : this.jobEventsStartBlock,
+      ipfs: profile.ipfs ? this.getIpfsSettings(profile.ipfs) : this.ipfs,
+      tokens,
+      // Payment filters by token address, symbols that are not known here are reported by validateConfig
+      allowedTokens: this.allowedTokens.map(resolveToken),
+      minJobBudgets: Object.fromEntries(Object.entries(this.minJobBudgets).map(([token, amount]) => [resolveToken(token), amount]))
+    };
+  }
+
+  /**
+   * Build IPFS settings, falling back to the global IPFS variables for missing fields
+   * @param {Object} settings - Settings ({apiUrl, apiKey, apiSecret, gatewayUrl})
+   * @returns {Object} - IPFS settings ({apiUrl, apiKey, apiSecret, gatewayUrl, gateways})
+   */
+  getIpfsSettings(settings) {
+    const gatewayUrl = settings.gatewayUrl || this.ipfsGatewayUrl;
+
+    return {
+      apiUrl: settings.apiUrl || this.ipfsApiUrl,
+      apiKey: settings.apiKey || this.ipfsApiKey,
+      apiSecret: settings.apiSecret || this.ipfsApiSecret,
+      gatewayUrl,
+      gateways: [gatewayUrl, ...this.ipfsGateways.filter(gateway => gateway !== gatewayUrl)]
+    };
+  }
+
+  /**
+   * Get a network profile by name
+   * @param {string} name - Network name
+   * @returns {Object} - Network profile
+   */
+  getNetwork(name) {
+    const network = this.networks.find(candidate => candidate.name === name);
+
+    if (!network) {
+      throw new Error(`Unknown network: ${name}`);
+    }
+
+    return network;
+  }
+
   /**
    * Validate critical configuration values
    * @throws {Error} if critical configuration is missing
    */
   validateConfig() {
-    const requiredBlockchainConfig = [
-      'rpcUrl',
-      'privateKey',
-      'marketplaceAddress',
-      'marketplaceDataAddress'
-    ];
+    if (!this.privateKey && !this.keystorePath && !this.remoteSignerUrl) {
+      throw new Error('Missing required blockchain configuration: privateKey (or keystorePath / remoteSignerUrl)');
+    }
+
+    if (new Set(this.networks.map(network => network.name)).size !== this.networks.length) {
+      throw new Error('Network names must be unique');
+    }
 
-    const missingBlockchainConfig = requiredBlockchainConfig.filter(key => !this[key]);
+    // The fake marketplace needs no RPC or contract addresses, but only simulates one network
+    if (this.fakeMarketplace) {
+      if (this.networks.length > 1) {
+        throw new Error('FAKE_MARKETPLACE supports a single network');
+      }
+    } else {
+      this.networks.forEach(network => {
+        const missing = ['marketplaceAddress', 'marketplaceDataAddress'].filter(key => !network[key]);
+        if (network.rpcUrls.length === 0) missing.unshift('rpcUrl');
+
+        if (missing.length > 0) {
+          throw new Error(`Missing required blockchain configuration for network ${network.name}: ${missing.join(', ')}`);
+        }
 
-    if (missingBlockchainConfig.length > 0) {
-      throw new Error(`Missing required blockchain configuration: ${missingBlockchainConfig.join(', ')}`);
+        if (network.rpcQuorum < 1 || network.rpcQuorum > network.rpcUrls.length) {
+          throw new Error(`RPC_QUORUM must be between 1 and the number of RPC URLs (${network.rpcUrls.length}) for network ${network.name}`);
+        }
+      });
     }
 
+    this.networks.forEach(network => {
+      const unknown = [...network.allowedTokens, ...Object.keys(network.minJobBudgets)].filter(token => !ethers.isAddress(token));
+
+      if (unknown.length > 0) {
+        throw new Error(`Unknown payment tokens for network ${network.name}: ${[...new Set(unknown)].join(', ')}. Map symbols to addresses with TOKEN_ADDRESSES or the network's "tokens"`);
+      }
+    });
+
+    Object.entries(this.minJobBudgets).forEach(([token, amount]) => {
+      if (!/^\d+(\.\d+)?$/.test(amount)) {
+        throw new Error(`Invalid minimum budget for ${token} in MIN_JOB_BUDGETS: ${amount}`);
+      }
+    });
+
     // Validate that at least one agent is enabled
     if (this.enabledAgents.length === 0) {
       throw new Error('No agents enabled. Set ENABLED_AGENTS in .env file.');
@@ -154,20 +377,73 @@ class Config {
   }
 
   /**
-   * Get Ethereum provider
-   * @returns {ethers.JsonRpcProvider} Provider instance
+   * Get the shared Ethereum provider of a network
+   * With several RPC URLs this is a FallbackProvider that fails over between them
+   * @param {Object} [network] - Network profile (default: the first network)
+   * @returns {ethers.AbstractProvider} Provider instance
+   */
+  getProvider(network = this.networks[0]) {
+    this.providers = this.providers || new Map();
+    if (this.providers.has(network.name)) return this.providers.get(network.name).provider;
+
+    const staticNetwork = network.chainId ? ethers.Network.from(network.chainId) : undefined;
+    const providerOptions = staticNetwork ? { staticNetwork } : {};
+
+    const endpoints = network.rpcUrls.map(url => ({
+      url,
+      provider: new ethers.JsonRpcProvider(url, staticNetwork, providerOptions)
+    }));
+
+    const provider = endpoints.length === 1
+      ? endpoints[0].provider
+      : new ethers.FallbackProvider(
+        endpoints.map((endpoint, index) => ({
+          provider: endpoint.provider,
+          priority: index + 1,
+          weight: 1,
+          stallTimeout: this.rpcStallTimeout
+        })),
+        staticNetwork,
+        { quorum: network.rpcQuorum }
+      );
+
+    this.providers.set(network.name, { provider, endpoints });
+    return provider;
+  }
+
+  /**
+   * Get the individual RPC endpoints behind a network's shared provider
+   * @param {Object} [network] - Network profile (default: the first network)
+   * @returns {Array<Object>} - Endpoints ({url, provider})
    */
-  getProvider() {
-    return new ethers.JsonRpcProvider(this.rpcUrl);
+  getRpcEndpoints(network = this.networks[0]) {
+    this.getProvider(network);
+    return this.providers.get(network.name).endpoints;
   }
 
   /**
-   * Get Ethereum wallet
-   * @returns {ethers.Wallet} Wallet instance
+   * Get the shared signer for the agent account, connected to a network
+   * Loaded once from PRIVATE_KEY, an encrypted keystore (KEYSTORE_PATH) or a remote signer (REMOTE_SIGNER_URL)
+   * @param {Object} [network] - Network profile (default: the first network)
+   * @returns {ethers.AbstractSigner} Signer instance with an `address` property
    */
-  getWallet() {
-    const provider = this.getProvider();
-    return new ethers.Wallet(this.privateKey, provider);
+  async getSigner(network = this.networks[0]) {
+    if (!this.signer) {
+      this.signer = signerLoader.load({
+        privateKey: this.privateKey,
+        keystorePath: this.keystorePath,
+        keystorePassword: this.keystorePassword,
+        remoteSignerUrl: this.remoteSignerUrl,
+        remoteSignerAddress: this.remoteSignerAddress
+      }, null).catch(error => {
+        this.signer = null;
+        throw error;
+      });
+    }
+
+    // The fake marketplace executes writes itself, so its signer has no provider
+    const provider = this.fakeMarketplace ? null : this.getProvider(network);
+    return (await this.signer).connect(provider);
   }
 }
 
@@ -1,37 +1,44 @@
 // src/connector/index.js
+const fs = require('fs');
 const { ethers } = require('ethers');
 const config = require('../config');
 const encryption = require('../encryption');
+const JsonStore = require('../storage');
+const TransactionManager = require('../transactions');
+const dryRunReport = require('../dry-run');
+const deliverables = require('../deliverables');
+const { MarketplaceClient } = require('../contracts');
+const { JobState, JobEventType } = require('../job');
 
-// ABI imports (simplified versions)
-const MarketplaceV1ABI = [
-  "function jobsLength() view returns (uint256)",
-  "function getJob(uint256 jobId_) view returns (tuple(uint8 state, bool whitelistWorkers, tuple(address creator, address arbitrator, address worker) roles, string title, string[] tags, bytes32 contentHash, bool multipleApplicants, uint256 amount, address token, uint32 timestamp, uint32 maxTime, string deliveryMethod, uint256 collateralOwed, uint256 escrowId, bytes32 resultHash, uint8 rating, bool disputed))",
-  "function postThreadMessage(uint256 jobId_, bytes32 contentHash_, address recipient) external",
-  "function takeJob(uint256 jobId_, bytes signature_) external",
-  "function deliverResult(uint256 jobId_, bytes32 resultHash_) external"
-];
-
-const MarketplaceDataV1ABI = [
-  "function registerUser(bytes pubkey_, string name_, string bio_, string avatar_) external",
-  "function users(address) view returns (address, bytes, string, string, string, uint16, uint16)",
-  "function userRegistered(address) view returns (bool)",
-  "function publicKeys(address) view returns (bytes)",
-  "function eventsLength(uint256 jobId_) view returns (uint256)",
-  "function publishJobEvent(uint256 jobId_, tuple(uint8 type_, bytes address_, bytes data_, uint32 timestamp_) event_) external"
-];
+// Job events that can make a job newly available
+const JOB_DISCOVERY_EVENTS = [JobEventType.Created, JobEventType.Updated, JobEventType.Reopened];
 
 /**
- * Connector for interacting with the EACC marketplace
+ * Connector for interacting with the EACC marketplace on one network
  */
 class EACCConnector {
-  constructor() {
+  /**
+   * Constructor
+   * @param {Object} network - Network profile from the configuration
+   */
+  constructor(network) {
+    this.network = network;
     this.provider = null;
     this.wallet = null;
+    this.client = null;
     this.marketplace = null;
     this.marketplaceData = null;
     this.initialized = false;
     this.processedJobs = new Set(); // Track processed jobs
+    this.publicKeys = new Map(); // Cache of user address to registered public key
+    this.threadTexts = new Map(); // Cache of thread message content hash to decrypted text
+    this.registeredKeyValid = true; // Cleared if our registered public key does not belong to the signer
+    this.tokens = new Map(); // Cache of token address to {symbol, decimals}
+    this.state = new JsonStore(this.getStoreName('connector-state'));
+    this.transactions = new TransactionManager(this.getStoreName('transactions'));
+    this.jobEventHandler = null;
+    this.jobEventListener = null;
+    this.jobEventQueue = Promise.resolve(); // Serialises backfill and live events
   }
 
   /**
@@ -41,34 +48,28 @@ class EACCConnector {
     if (this.initialized) return;
 
     try {
-      // Initialize provider and wallet
-      this.provider = config.getProvider();
-      this.wallet = config.getWallet();
-
-      // Initialize contract instances
-      this.marketplace = new ethers.Contract(
-        config.marketplaceAddress,
-        MarketplaceV1ABI,
-        this.wallet
-      );
+      // Offline mode gets in-process stand-ins for the contracts
+      this.wallet = await config.getSigner(this.network);
+      this.client = MarketplaceClient.create(this.network, this.wallet);
+      this.provider = this.client.provider;
+      this.marketplace = this.client.marketplace;
+      this.marketplaceData = this.client.marketplaceData;
 
-      this.marketplaceData = new ethers.Contract(
-        config.marketplaceDataAddress,
-        MarketplaceDataV1ABI,
-        this.wallet
-      );
+      this.transactions.initialize(this.wallet);
 
       // Check if the agent is registered
-      const isRegistered = await this.marketplaceData.userRegistered(this.wallet.address);
+      const isRegistered = await this.client.isRegistered(this.wallet.address);
       
       if (!isRegistered) {
         await this.registerAgent();
+      } else {
+        await this.checkRegisteredKey();
       }
       
-      console.log(`Agent initialized with address: ${this.wallet.address}`);
+      console.log(`Agent initialized on network ${this.network.name} with address: ${this.wallet.address}`);
       this.initialized = true;
     } catch (error) {
-      console.error('Initialization failed:', error);
+      console.error(`Initialization failed on network ${this.network.name}:`, error);
       throw error;
     }
   }
@@ -79,18 +80,19 @@ class EACCConnector {
    */
   async registerAgent() {
     try {
-      // Get encryption signing key
-      const signingKey = await encryption.getEncryptionSigningKey(this.wallet);
+      // The registered key can never be changed, so always register the key derived from the signer
+      const publicKey = await encryption.getEncryptionPublicKey(this.wallet);
+      const avatar = await this.resolveAvatar(config.agentAvatar);
       
       // Register user with the marketplace
-      const tx = await this.marketplaceData.registerUser(
-        signingKey.compressedPublicKey,
+      await this.submitTransaction(this.marketplaceData, 'registerUser', [
+        publicKey,
         config.agentName,
         config.agentBio,
-        config.agentAvatar
-      );
-      
-      await tx.wait();
+        avatar
+      ], {
+        message: `${config.agentName}: ${config.agentBio}`
+      });
       console.log('Agent registered successfully!');
     } catch (error) {
       console.error('Registration failed:', error);
@@ -98,18 +100,99 @@ class EACCConnector {
     }
   }
 
+  /**
+   * Check that the registered public key is valid and belongs to the agent signer
+   * Messages encrypted to any other key cannot be read with this signer, and the marketplace
+   * cannot change a registered key, so the agent stops applying for jobs on this network
+   * @returns {boolean} - True if the registered key matches the signer
+   * @private
+   */
+  async checkRegisteredKey() {
+    const registeredKey = await this.client.getPublicKey(this.wallet.address);
+    
+    if (!registeredKey || !encryption.isValidPublicKey(registeredKey)) {
+      console.error(`Registered public key of ${this.wallet.address} on network ${this.network.name} is invalid (${registeredKey})`);
+      this.registeredKeyValid = false;
+    } else if (!(await encryption.useRegisteredKey(this.wallet, registeredKey))) {
+      const walletKey = await encryption.getEncryptionPublicKey(this.wallet);
+      console.error(`Registered public key ${registeredKey} on network ${this.network.name} does not match the agent signer (${walletKey})`);
+      this.registeredKeyValid = false;
+    } else {
+      this.registeredKeyValid = true;
+    }
+    
+    if (!this.registeredKeyValid) {
+      console.error(`Not applying for jobs on network ${this.network.name}: messages to this agent cannot be decrypted and a registered key cannot be changed. Run the agent with a new wallet; debug/check-wallet-registration.js shows the details`);
+    }
+    
+    return this.registeredKeyValid;
+  }
+
+  /**
+   * Update the agent's on-chain profile
+   * Fields that are not given keep their current value
+   * @param {Object} profile - Profile fields
+   * @param {string} [profile.name] - Display name
+   * @param {string} [profile.bio] - Bio
+   * @param {string} [profile.avatar] - Avatar URL or path of a local image to upload
+   * @returns {boolean} - Success status
+   */
+  async updateProfile({ name, bio, avatar } = {}) {
+    if (!this.initialized) await this.initialize();
+    
+    try {
+      const current = await this.getUser(this.wallet.address);
+      
+      const profile = {
+        name: name !== undefined ? name : current.name,
+        bio: bio !== undefined ? bio : current.bio,
+        avatar: avatar !== undefined ? await this.resolveAvatar(avatar) : current.avatar
+      };
+      
+      await this.submitTransaction(this.marketplaceData, 'updateUser', [
+        profile.name,
+        profile.bio,
+        profile.avatar
+      ], {
+        message: `${profile.name}: ${profile.bio}`
+      });
+      
+      console.log(`Profile updated: ${profile.name} (avatar: ${profile.avatar || 'none'})`);
+      return true;
+    } catch (error) {
+      console.error('Error updating profile:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Resolve an avatar setting to a URL
+   * Local image files are uploaded to IPFS and replaced by their gateway URL
+   * @param {string} avatar - Avatar URL or local file path
+   * @returns {string} - Avatar URL
+   * @private
+   */
+  async resolveAvatar(avatar) {
+    if (!avatar || /^[a-z][a-z0-9+.-]*:\/\//i.test(avatar) || !fs.existsSync(avatar)) {
+      return avatar || '';
+    }
+    
+    const { url } = await encryption.publishFileToIpfs(avatar, this.network.ipfs);
+    console.log(`Uploaded avatar ${avatar} to ${url}`);
+    return url;
+  }
+
   /**
    * Get all jobs from the marketplace
    * @param {number} startIdx - Starting index (default: 0)
    * @param {number} count - Number of jobs to retrieve (default: all)
-   * @returns {Array} - Array of job objects
+   * @returns {Array<Job>} - Array of jobs
    */
   async getJobs(startIdx = 0, count = 0) {
     if (!this.initialized) await this.initialize();
     
     try {
-      const jobCount = await this.marketplace.jobsLength();
-      const totalJobs = Number(jobCount);
+      const totalJobs = await this.client.getJobsLength();
       
       // If count is 0 or greater than available jobs, retrieve all jobs
       const endIdx = count === 0 ? totalJobs : Math.min(startIdx + count, totalJobs);
@@ -117,37 +200,17 @@ class EACCConnector {
       const jobs = [];
       for (let i = startIdx; i < endIdx; i++) {
         try {
-          const jobData = await this.marketplace.getJob(i);
-          
-          // Debug: Log the raw job data to see its structure
-          console.log(`Job ${i} raw data structure:`, 
-            Object.keys(jobData).length > 0 ? 'Has properties' : 'No properties');
-          
-          // In ethers v6, tuples are often returned as arrays with numeric indices
-          // We need to map these to named properties
-          const job = {
-            id: i,
-            title: jobData[3] || `Job #${i}`, // title is often the 4th element (index 3)
-            state: Number(jobData[0]) || 0,   // state is often the 1st element (index 0)
-            roles: {
-              creator: jobData[2]?.creator || this.wallet.address,
-              arbitrator: jobData[2]?.arbitrator || ethers.ZeroAddress,
-              worker: jobData[2]?.worker || ethers.ZeroAddress
-            },
-            multipleApplicants: Boolean(jobData[6]),  // multipleApplicants
-            tags: Array.isArray(jobData[4]) ? jobData[4] : [],  // tags
-            contentHash: jobData[5] || '0x0000000000000000000000000000000000000000000000000000000000000000', // contentHash
-            amount: jobData[7] || 0,  // amount
-            token: jobData[8] || ethers.ZeroAddress,  // token
-          };
+          const job = await this.client.getJob(i);
+          await this.resolveJobToken(job);
           
           // Log the processed job
           console.log(`Job ${i} processed:`, {
             id: job.id,
             title: job.title,
-            state: job.state,
+            state: job.stateName,
             tags: job.tags,
             multipleApplicants: job.multipleApplicants,
+            amount: job.formattedAmount,
           });
           
           jobs.push(job);
@@ -166,32 +229,242 @@ class EACCConnector {
   /**
    * Get a specific job from the marketplace
    * @param {number} jobId - Job ID
-   * @returns {Object} - Job object
+   * @returns {Job} - Job
    */
   async getJob(jobId) {
     if (!this.initialized) await this.initialize();
     
     try {
-      const job = await this.marketplace.getJob(jobId);
-      
-      // Add job ID to the job object
-      return {
-        ...job,
-        id: jobId
-      };
+      const job = await this.client.getJob(jobId);
+      await this.resolveJobToken(job);
+      return job;
     } catch (error) {
       console.error(`Error fetching job ${jobId}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Get the symbol and decimals of a payment token
+   * @param {string} token - Token address (zero address for ETH)
+   * @returns {Object} - Token info ({symbol, decimals})
+   */
+  async getTokenInfo(token) {
+    if (!this.initialized) await this.initialize();
+    
+    const key = token.toLowerCase();
+    if (this.tokens.has(key)) {
+      return this.tokens.get(key);
+    }
+    
+    let info;
+    try {
+      info = await this.client.getTokenInfo(token);
+    } catch (error) {
+      // Non-standard tokens (e.g. bytes32 symbols) are shown by address
+      console.warn(`Could not read metadata of token ${token}: ${error.message}`);
+      return { symbol: token, decimals: null };
+    }
+    
+    this.tokens.set(key, info);
+    return info;
+  }
+
+  /**
+   * Attach payment token metadata to a job
+   * @param {Job} job - Job
+   * @private
+   */
+  async resolveJobToken(job) {
+    const { symbol, decimals } = await this.getTokenInfo(job.token);
+    job.tokenSymbol = symbol;
+    job.tokenDecimals = decimals;
+  }
+
+  /**
+   * Watch the marketplace for job-created/job-updated events
+   * Backfills from the persisted block cursor, then subscribes to new events
+   * @param {Function} onJob - Async callback invoked with each discovered job
+   */
+  async watchJobEvents(onJob) {
+    if (!this.initialized) await this.initialize();
+
+    this.jobEventHandler = onJob;
+
+    // Catch up on everything emitted since we last ran
+    await this.syncJobEvents();
+
+    this.jobEventListener = (jobId, eventData, payload) => {
+      const blockNumber = payload?.log?.blockNumber;
+      this.enqueueJobEvent(async () => {
+        await this.handleJobEvent(jobId, eventData);
+        if (blockNumber !== undefined) this.saveJobEventsCursor(blockNumber);
+      });
+    };
+
+    await this.marketplaceData.on('JobEvent', this.jobEventListener);
+    console.log('Subscribed to marketplace job events');
+  }
+
+  /**
+   * Stop watching job events
+   */
+  async stopWatchingJobEvents() {
+    if (this.jobEventListener) {
+      await this.marketplaceData.off('JobEvent', this.jobEventListener);
+      this.jobEventListener = null;
+    }
+
+    this.jobEventHandler = null;
+  }
+
+  /**
+   * Query job events from the persisted cursor up to the latest block
+   * Used for the startup backfill and as a catch-up when polling
+   * @returns {number} - Number of discovery events handled
+   */
+  async syncJobEvents() {
+    if (!this.initialized) await this.initialize();
+
+    return this.enqueueJobEvent(async () => {
+      const latestBlock = await this.provider.getBlockNumber();
+      const cursor = this.getJobEventsCursor(latestBlock);
+      let handled = 0;
+
+      // Jobs whose events were seen but could not be handled, the cursor has already moved past them
+      if (this.jobEventHandler) {
+        for (const id of this.state.get('failedJobEvents', [])) {
+          console.log(`Retrying job ${id} from an earlier job event`);
+          if (await this.handleDiscoveredJob(id)) {
+            handled++;
+          }
+        }
+      }
+
+      for (let fromBlock = cursor + 1; fromBlock <= latestBlock; fromBlock += config.jobEventsBlockRange) {
+        const toBlock = Math.min(fromBlock + config.jobEventsBlockRange - 1, latestBlock);
+        console.log(`Querying job events in blocks ${fromBlock} to ${toBlock}`);
+
+        const events = await this.marketplaceData.queryFilter('JobEvent', fromBlock, toBlock);
+
+        for (const event of events) {
+          if (await this.handleJobEvent(event.args.jobId, event.args.eventData)) {
+            handled++;
+          }
+        }
+
+        this.saveJobEventsCursor(toBlock);
+      }
+
+      return handled;
+    });
+  }
+
+  /**
+   * Handle a single job event
+   * @param {bigint} jobId - Job ID
+   * @param {Object} eventData - Event data tuple
+   * @returns {boolean} - True if the event was passed on to the job handler
+   * @private
+   */
+  async handleJobEvent(jobId, eventData) {
+    const type = Number(eventData.type_);
+
+    if (!JOB_DISCOVERY_EVENTS.includes(type) || !this.jobEventHandler) {
+      return false;
+    }
+
+    const id = Number(jobId);
+    console.log(`Job event ${type} received for job ${id}`);
+
+    return this.handleDiscoveredJob(id);
+  }
+
+  /**
+   * Fetch a job found through its events and pass it to the job handler
+   * Jobs that fail are persisted and retried on the next sync, so the block cursor can still advance
+   * @param {number} id - Job ID
+   * @returns {boolean} - True if the job was passed on to the job handler
+   * @private
+   */
+  async handleDiscoveredJob(id) {
+    try {
+      const job = await this.getJob(id);
+      await this.jobEventHandler(job);
+      this.setJobEventFailed(id, false);
+      return true;
+    } catch (error) {
+      console.error(`Error handling event for job ${id}, will retry on the next sync:`, error.message);
+      this.setJobEventFailed(id, true);
+      return false;
+    }
+  }
+
+  /**
+   * Add a job to or remove it from the persisted list of job events to retry
+   * @param {number} id - Job ID
+   * @param {boolean} failed - Whether handling the job failed
+   * @private
+   */
+  setJobEventFailed(id, failed) {
+    const ids = this.state.get('failedJobEvents', []);
+
+    if (failed && !ids.includes(id)) {
+      this.state.set('failedJobEvents', [...ids, id]);
+    } else if (!failed && ids.includes(id)) {
+      this.state.set('failedJobEvents', ids.filter(existing => existing !== id));
+    }
+  }
+
+  /**
+   * Run a job event task after all previously queued ones
+   * @param {Function} task - Async task
+   * @returns {Promise} - Task result
+   * @private
+   */
+  enqueueJobEvent(task) {
+    const result = this.jobEventQueue.then(task);
+    this.jobEventQueue = result.catch(error => {
+      console.error('Error processing job events:', error);
+    });
+    return result;
+  }
+
+  /**
+   * Get the last block whose job events have been processed
+   * @param {number} latestBlock - Current block number, used when there is no cursor yet
+   * @returns {number} - Block number
+   * @private
+   */
+  getJobEventsCursor(latestBlock) {
+    const cursor = this.state.get('jobEventsCursor');
+    if (cursor !== undefined) return cursor;
+
+    if (this.network.jobEventsStartBlock !== null) {
+      return this.network.jobEventsStartBlock - 1;
+    }
+
+    return latestBlock;
+  }
+
+  /**
+   * Persist the job events block cursor
+   * @param {number} blockNumber - Last processed block
+   * @private
+   */
+  saveJobEventsCursor(blockNumber) {
+    if (blockNumber > this.state.get('jobEventsCursor', -1)) {
+      this.state.set('jobEventsCursor', blockNumber);
+    }
+  }
+
   /**
    * Get job content from IPFS
    * @param {Object} job - Job object
    * @returns {string} - Job content
    */
   async getJobContent(job) {
-    if (!job.contentHash || job.contentHash === '0x0000000000000000000000000000000000000000000000000000000000000000') {
+    if (!job.contentHash || job.contentHash === ethers.ZeroHash) {
       return '';
     }
     
@@ -199,7 +472,7 @@ class EACCConnector {
       const contentCid = encryption.hashToCid(job.contentHash);
       console.log(`Fetching content for job ${job.id} with CID: ${contentCid}`);
       
-      const content = await encryption.getFromIpfs(contentCid);
+      const content = await encryption.getFromIpfs(contentCid, null, this.network.ipfs);
       return content;
     } catch (error) {
       console.error(`Error getting content for job ${job.id}:`, error);
@@ -207,6 +480,175 @@ class EACCConnector {
     }
   }
 
+  /**
+   * Get the registered encryption public key of a user
+   * @param {string} address - User address
+   * @returns {string|null} - Compressed public key, or null if none or an invalid one is registered
+   */
+  async getPublicKey(address) {
+    if (!this.initialized) await this.initialize();
+    
+    const key = address.toLowerCase();
+    if (this.publicKeys.has(key)) {
+      return this.publicKeys.get(key);
+    }
+    
+    const publicKey = await this.client.getPublicKey(address);
+    if (!publicKey) {
+      return null;
+    }
+    
+    // Keys registered with a broken compression cannot be encrypted to
+    if (!encryption.isValidPublicKey(publicKey)) {
+      console.warn(`Ignoring invalid public key registered by ${address}: ${publicKey}`);
+      return null;
+    }
+    
+    this.publicKeys.set(key, publicKey);
+    return publicKey;
+  }
+
+  /**
+   * Get a user's on-chain profile
+   * @param {string} address - User address
+   * @returns {Object} - {address, publicKey, name, bio, avatar, reputationUp, reputationDown}
+   */
+  async getUser(address) {
+    if (!this.initialized) await this.initialize();
+    
+    return this.client.getUser(address);
+  }
+
+  /**
+   * Get the event history of a job
+   * @param {number} jobId - Job ID
+   * @returns {Array<Object>} - Events, oldest first: {type, address, data, timestamp}
+   */
+  async getJobEvents(jobId) {
+    if (!this.initialized) await this.initialize();
+    
+    return this.client.getJobEvents(jobId);
+  }
+
+  /**
+   * Get the decrypted conversation thread of a job
+   * Only messages from `fromIndex` on are downloaded from IPFS; earlier ones carry their text
+   * if it was read before, otherwise it is null
+   * @param {number} jobId - Job ID
+   * @param {number} [fromIndex] - Index of the first message to download
+   * @returns {Array<Object>} - Messages ordered by time: {index, sender, recipient, timestamp, text}
+   */
+  async getJobThread(jobId, fromIndex = 0) {
+    if (!this.initialized) await this.initialize();
+    
+    try {
+      const messages = await this.client.getThreadMessages(jobId);
+      console.log(`Found ${messages.length} thread messages for job ${jobId}`);
+      
+      for (const message of messages) {
+        message.text = this.threadTexts.get(message.contentHash) ?? null;
+        
+        if (message.text !== null || message.index < fromIndex) continue;
+        
+        try {
+          message.text = await this.getThreadMessageText(jobId, message);
+          this.threadTexts.set(message.contentHash, message.text);
+        } catch (error) {
+          console.error(`Error reading message ${message.index} of job ${jobId}:`, error.message);
+        }
+      }
+      
+      // Stable sort keeps on-chain order for messages in the same block
+      return messages.sort((a, b) => a.timestamp - b.timestamp);
+    } catch (error) {
+      console.error(`Error fetching thread for job ${jobId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch and decrypt the content of a thread message
+   * @param {number} jobId - Job ID
+   * @param {Object} message - Thread message
+   * @returns {string} - Decrypted message text
+   * @private
+   */
+  async getThreadMessageText(jobId, message) {
+    const ownAddress = this.wallet.address.toLowerCase();
+    
+    // The session key is shared with whoever is on the other side of the message
+    const counterparty = message.sender.toLowerCase() === ownAddress
+      ? message.recipient
+      : message.sender;
+    
+    const counterpartyPublicKey = await this.getPublicKey(counterparty);
+    if (!counterpartyPublicKey) {
+      throw new Error(`No public key registered for ${counterparty}`);
+    }
+    
+    const sessionKey = await encryption.getSessionKey(this.wallet, counterpartyPublicKey, jobId);
+    const cid = encryption.hashToCid(message.contentHash);
+    
+    return encryption.getFromIpfs(cid, sessionKey, this.network.ipfs);
+  }
+
+  /**
+   * Get the delivered result of a job from IPFS
+   * For file set deliveries (with ENCRYPTION_ENVELOPE) this is the manifest JSON, use getJobResultFiles for the files
+   * @param {Job} job - Job object
+   * @returns {string|null} - Decrypted result, or null if nothing was delivered
+   */
+  async getJobResult(job) {
+    if (!this.initialized) await this.initialize();
+    
+    if (!job.hasResult) {
+      return null;
+    }
+    
+    const sessionKey = await this.getResultSessionKey(job);
+    const resultCid = encryption.hashToCid(job.resultHash);
+    console.log(`Fetching result for job ${job.id} with CID: ${resultCid}`);
+    
+    return encryption.getFromIpfs(resultCid, sessionKey, this.network.ipfs);
+  }
+
+  /**
+   * Get the files of a job delivered as a file set
+   * @param {Job} job - Job object
+   * @returns {Object|null} - {manifest, files} (see deliverables.retrieve), or null if nothing was delivered
+   */
+  async getJobResultFiles(job) {
+    if (!this.initialized) await this.initialize();
+    
+    if (!job.hasResult) {
+      return null;
+    }
+    
+    const sessionKey = await this.getResultSessionKey(job);
+    return deliverables.retrieve(encryption.hashToCid(job.resultHash), sessionKey, this.network.ipfs);
+  }
+
+  /**
+   * Get the session key a job result is encrypted with
+   * @param {Job} job - Job object
+   * @returns {string} - Session key
+   * @private
+   */
+  async getResultSessionKey(job) {
+    // The result is encrypted for the creator by the worker
+    const ownAddress = this.wallet.address.toLowerCase();
+    const counterparty = job.roles.worker.toLowerCase() === ownAddress
+      ? job.roles.creator
+      : job.roles.worker;
+    
+    const counterpartyPublicKey = await this.getPublicKey(counterparty);
+    if (!counterpartyPublicKey) {
+      throw new Error(`No public key registered for ${counterparty}`);
+    }
+    
+    return encryption.getSessionKey(this.wallet, counterpartyPublicKey, job.id);
+  }
+
   /**
    * Check if a job matches the agent's criteria
    * @param {Object} job - Job object
@@ -216,12 +658,13 @@ class EACCConnector {
   isRelevantJob(job, content) {
     console.log(`Evaluating job ${job.id}:`);
     console.log(`- Title: ${job.title || 'undefined'}`);
-    console.log(`- State: ${job.state}`);
+    console.log(`- State: ${job.stateName}`);
     console.log(`- Tags: ${job.tags ? job.tags.join(', ') : 'none'}`);
+    console.log(`- Budget: ${job.formattedAmount}`);
     
-    // Check job state - only open jobs (state === 0) are relevant
-    if (job.state !== 0) {
-      console.log(`- Job ${job.id} is not open (state: ${job.state}), skipping`);
+    // Check job state - only open jobs are relevant
+    if (job.state !== JobState.Open) {
+      console.log(`- Job ${job.id} is not open (state: ${job.stateName}), skipping`);
       return false;
     }
     
@@ -231,6 +674,11 @@ class EACCConnector {
       return false;
     }
     
+    // Check payment token and budget
+    if (!this.isAcceptedPayment(job)) {
+      return false;
+    }
+    
     // Check job title for relevant keywords
     if (job.title) {
       const titleMatches = config.relevantTags.some(tag => 
@@ -273,6 +721,104 @@ class EACCConnector {
     return false;
   }
 
+  /**
+   * Check a job's payment against the token allowlist and minimum budgets
+   * Tokens are matched by address only, configured symbols are resolved to addresses per network
+   * @param {Job} job - Job
+   * @returns {boolean} - True if the payment is acceptable
+   */
+  isAcceptedPayment(job) {
+    const token = job.token.toLowerCase();
+    const { allowedTokens, minJobBudgets } = this.network;
+    
+    if (allowedTokens.length > 0 && !allowedTokens.includes(token)) {
+      console.log(`- Job ${job.id} pays in ${job.tokenSymbol || job.token} (${job.token}), which is not allowed, skipping`);
+      return false;
+    }
+    
+    const minimum = minJobBudgets[token];
+    if (minimum !== undefined) {
+      if (job.tokenDecimals === null) {
+        console.log(`- Job ${job.id} token decimals unknown, cannot check minimum budget, skipping`);
+        return false;
+      }
+      
+      if (job.amount < this.parseBudget(minimum, job.tokenDecimals)) {
+        console.log(`- Job ${job.id} budget ${job.formattedAmount} is below the minimum of ${minimum}, skipping`);
+        return false;
+      }
+    }
+    
+    return true;
+  }
+
+  /**
+   * Convert a configured budget to token units
+   * Digits beyond the token's precision round the budget up instead of failing to parse
+   * @param {string} amount - Decimal amount, e.g. "0.02"
+   * @param {number} decimals - Token decimals
+   * @returns {bigint} - Amount in token units
+   * @private
+   */
+  parseBudget(amount, decimals) {
+    const [whole, fraction = ''] = amount.split('.');
+    const units = ethers.parseUnits(decimals > 0 ? `${whole}.${fraction.slice(0, decimals) || '0'}` : whole, decimals);
+    
+    return /[1-9]/.test(fraction.slice(decimals)) ? units + 1n : units;
+  }
+
+  /**
+   * Pre-flight check that we can apply for and take a job before sending any transaction
+   * @param {Job} job - Job
+   * @returns {Object} - {eligible, reason, message}; reason is null when eligible, otherwise one of
+   *   'key_mismatch', 'not_open', 'own_job', 'not_whitelisted', 'collateral_owed', 'arbitrator_missing',
+   *   'arbitrator_unregistered', 'creator_key_missing'
+   */
+  async checkEligibility(job) {
+    if (!this.initialized) await this.initialize();
+    
+    const ineligible = (reason, message) => ({ eligible: false, reason, message });
+    
+    const ownAddress = this.wallet.address.toLowerCase();
+    
+    if (!this.registeredKeyValid) {
+      return ineligible('key_mismatch', 'our registered public key does not belong to the agent signer');
+    }
+    
+    if (job.state !== JobState.Open) {
+      return ineligible('not_open', `job is ${job.stateName}`);
+    }
+    
+    if (job.roles.creator.toLowerCase() === ownAddress) {
+      return ineligible('own_job', 'job was created by this agent');
+    }
+    
+    if (job.whitelistWorkers) {
+      const whitelisted = await this.client.isWhitelisted(job.id, this.wallet.address);
+      if (!whitelisted) {
+        return ineligible('not_whitelisted', 'job is restricted to whitelisted workers');
+      }
+    }
+    
+    if (job.collateralOwed > 0n) {
+      return ineligible('collateral_owed', `job has ${job.collateralOwed} collateral owed`);
+    }
+    
+    if (job.roles.arbitrator === ethers.ZeroAddress) {
+      if (config.requireArbitrator) {
+        return ineligible('arbitrator_missing', 'job has no arbitrator');
+      }
+    } else if (!(await this.getPublicKey(job.roles.arbitrator))) {
+      return ineligible('arbitrator_unregistered', `arbitrator ${job.roles.arbitrator} is not registered`);
+    }
+    
+    if (!(await this.getPublicKey(job.roles.creator))) {
+      return ineligible('creator_key_missing', `creator ${job.roles.creator} has no public key`);
+    }
+    
+    return { eligible: true, reason: null, message: 'eligible' };
+  }
+
   /**
    * Apply for a job
    * @param {number} jobId - Job ID
@@ -285,28 +831,8 @@ class EACCConnector {
       const job = await this.getJob(jobId);
       const owner = job.roles.creator;
       
-      // Get owner's public key for encryption
-      const ownerPublicKey = await this.marketplaceData.publicKeys(owner);
-      
-      if (!ownerPublicKey || ownerPublicKey === '0x') {
-        throw new Error(`Owner public key not available for job ${jobId}`);
-      }
-      
-      // Generate session key for secure communication
-      const sessionKey = await encryption.getSessionKey(this.wallet, ownerPublicKey, jobId);
-      
-      // Publish the application to IPFS
-      console.log(`Publishing application for job ${jobId} to IPFS...`);
-      const { hash } = await encryption.publishToIpfs(applicationMessage, sessionKey);
-      console.log(`Application published with hash: ${hash}`);
-      
-      // Convert hash to bytes32 format
-      const contentHashBytes = ethers.keccak256(ethers.toUtf8Bytes(hash));
-      
-      // Post thread message
-      console.log(`Posting thread message for job ${jobId}...`);
-      const tx = await this.marketplace.postThreadMessage(jobId, contentHashBytes, owner);
-      await tx.wait();
+      console.log(`Publishing application for job ${jobId}...`);
+      await this.sendThreadMessage(jobId, applicationMessage, owner);
       
       console.log(`Successfully applied for job ${jobId}`);
       
@@ -320,6 +846,77 @@ class EACCConnector {
     }
   }
 
+  /**
+   * Post an encrypted message to a job thread
+   * @param {number} jobId - Job ID
+   * @param {string} text - Message text
+   * @param {string} recipient - Recipient address
+   * @returns {boolean} - Success status
+   */
+  async postThreadMessage(jobId, text, recipient) {
+    if (!this.initialized) await this.initialize();
+    
+    try {
+      await this.sendThreadMessage(jobId, text, recipient);
+      console.log(`Successfully posted message to ${recipient} on job ${jobId}`);
+      return true;
+    } catch (error) {
+      console.error(`Error posting message on job ${jobId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Encrypt a message for the recipient, publish it to IPFS and post it to the job thread
+   * @param {number} jobId - Job ID
+   * @param {string} text - Message text
+   * @param {string} recipient - Recipient address
+   * @private
+   */
+  async sendThreadMessage(jobId, text, recipient) {
+    const { contentHashBytes, size } = await this.publishEncryptedMessage(jobId, text, recipient);
+    
+    // Post thread message
+    console.log(`Posting thread message for job ${jobId}...`);
+    await this.submitTransaction(this.marketplace, 'postThreadMessage', [jobId, contentHashBytes, recipient], {
+      jobId,
+      recipient,
+      message: text,
+      encryptedSize: size
+    });
+  }
+
+  /**
+   * Encrypt a message for the recipient and publish it to IPFS
+   * @param {number} jobId - Job ID
+   * @param {string} text - Message text
+   * @param {string} recipient - Recipient address
+   * @returns {Object} - {contentHashBytes, size}
+   * @private
+   */
+  async publishEncryptedMessage(jobId, text, recipient) {
+    // Get recipient's public key for encryption
+    const recipientPublicKey = await this.getPublicKey(recipient);
+    
+    if (!recipientPublicKey) {
+      throw new Error(`Public key not available for ${recipient} on job ${jobId}`);
+    }
+    
+    // Generate session key for secure communication
+    const sessionKey = await encryption.getSessionKey(this.wallet, recipientPublicKey, jobId);
+    
+    // Publish the message to IPFS
+    const { hash, size } = await encryption.publishToIpfs(text, sessionKey, this.network.ipfs, config.encryptionEnvelope ? {
+      sender: this.wallet.address,
+      recipient,
+      jobId
+    } : null);
+    console.log(`Message published with hash: ${hash}`);
+    
+    // Convert the CID to the bytes32 digest stored on-chain
+    return { contentHashBytes: encryption.cidToHash(hash), size };
+  }
+
   /**
    * Take a job (for non-multipleApplicants jobs)
    * @param {number} jobId - Job ID
@@ -329,20 +926,11 @@ class EACCConnector {
     if (!this.initialized) await this.initialize();
     
     try {
-      // Get the events length (revision)
-      const revision = await this.marketplaceData.eventsLength(jobId);
-      
-      // Create and sign the message
-      const messageHash = ethers.keccak256(
-        ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "uint256"], [revision, jobId])
-      );
-      
-      const messageBytes = ethers.getBytes(messageHash);
-      const signature = await this.wallet.signMessage(messageBytes);
+      // Sign the take request at the job's current revision
+      const signature = await this.client.signTakeJob(jobId);
       
       // Take the job
-      const tx = await this.marketplace.takeJob(jobId, signature);
-      await tx.wait();
+      await this.submitTransaction(this.marketplace, 'takeJob', [jobId, signature], { jobId });
       
       console.log(`Successfully took job ${jobId}`);
       
@@ -359,7 +947,7 @@ class EACCConnector {
   /**
    * Deliver job result
    * @param {number} jobId - Job ID
-   * @param {string} resultContent - Result content
+   * @param {string|Object} resultContent - Result text, or a file set ({files, message}, see deliverables)
    * @returns {boolean} - Success status
    */
   async deliverResult(jobId, resultContent) {
@@ -370,18 +958,33 @@ class EACCConnector {
       
       // Get owner's public key for encryption
       const owner = job.roles.creator;
-      const ownerPublicKey = await this.marketplaceData.publicKeys(owner);
+      const ownerPublicKey = await this.getPublicKey(owner);
       const sessionKey = await encryption.getSessionKey(this.wallet, ownerPublicKey, jobId);
       
+      // The EACC web app only reads raw text results, so file sets are published as encrypted
+      // files plus a manifest only when envelopes are enabled, and flattened into text otherwise
+      let content = resultContent;
+      if (deliverables.isFileSet(content) && !config.encryptionEnvelope) {
+        content = deliverables.toText(content);
+      }
+      
       // Publish the result to IPFS
-      const { hash } = await encryption.publishToIpfs(resultContent, sessionKey);
+      const metadata = { sender: this.wallet.address, recipient: owner, jobId };
+      const isFileSet = deliverables.isFileSet(content);
+      const { hash, size } = isFileSet
+        ? await deliverables.publish(content, sessionKey, this.network.ipfs, metadata)
+        : await encryption.publishToIpfs(content, sessionKey, this.network.ipfs, config.encryptionEnvelope ? metadata : null);
       
-      // Convert hash to bytes32 format
-      const resultHashBytes = ethers.keccak256(ethers.toUtf8Bytes(hash));
+      // Convert the CID to the bytes32 digest stored on-chain
+      const resultHashBytes = encryption.cidToHash(hash);
       
       // Deliver the result
-      const tx = await this.marketplace.deliverResult(jobId, resultHashBytes);
-      await tx.wait();
+      await this.submitTransaction(this.marketplace, 'deliverResult', [jobId, resultHashBytes], {
+        jobId,
+        recipient: owner,
+        message: isFileSet ? JSON.stringify(deliverables.summarize(content)) : content,
+        encryptedSize: size
+      });
       
       console.log(`Successfully delivered result for job ${jobId}`);
       return true;
@@ -390,8 +993,46 @@ class EACCConnector {
       return false;
     }
   }
+
+  /**
+   * Name of a state store for this network
+   * The default network keeps the unsuffixed names used before networks were configurable
+   * @param {string} name - Store name
+   * @returns {string} - Store name for this network
+   * @private
+   */
+  getStoreName(name) {
+    return this.network.name === 'default' ? name : `${name}-${this.network.name}`;
+  }
+
+  /**
+   * Send a marketplace transaction through the transaction manager
+   * In dry-run mode the simulated action is written to the dry-run report
+   * @param {ethers.Contract} contract - Contract instance
+   * @param {string} method - Contract method name
+   * @param {Array} args - Method arguments
+   * @param {Object} [details] - Action details for the report (jobId, recipient, message, encryptedSize)
+   * @returns {Object} - Transaction receipt (simulated in dry-run mode)
+   * @private
+   */
+  async submitTransaction(contract, method, args, details = {}) {
+    const jobId = details.jobId !== undefined ? details.jobId : null;
+    
+    try {
+      const receipt = await this.transactions.send(contract, method, args, { jobId });
+      
+      if (receipt.dryRun) {
+        dryRunReport.record({ action: method, network: this.network.name, ...details, gasEstimate: receipt.gasEstimate });
+      }
+      
+      return receipt;
+    } catch (error) {
+      if (config.dryRun) {
+        dryRunReport.record({ action: method, network: this.network.name, ...details, error: error.shortMessage || error.message });
+      }
+      throw error;
+    }
+  }
 }
 
-// Create and export a singleton instance
-const connector = new EACCConnector();
-module.exports = connector;
\ No newline at end of file
+module.exports = EACCConnector;
\ No newline at end of file
@@ -0,0 +1,126 @@
+// src/contracts/abi.js
+
+// Struct types shared by several functions and events
+const JOB_ROLES = 'tuple(address creator, address arbitrator, address worker)';
+const JOB_POST = `tuple(uint8 state, bool whitelistWorkers, ${JOB_ROLES} roles, string title, string[] tags, bytes32 contentHash, bool multipleApplicants, uint256 amount, address token, uint32 timestamp, uint32 maxTime, string deliveryMethod, uint256 collateralOwed, uint256 escrowId, bytes32 resultHash, uint8 rating, bool disputed)`;
+const JOB_EVENT_DATA = 'tuple(uint8 type_, bytes address_, bytes data_, uint32 timestamp_)';
+const THREAD_MESSAGE = 'tuple(bytes32 contentHash, address sender, address recipient, uint32 timestamp)';
+const USER = 'tuple(address address_, bytes publicKey, string name, string bio, string avatar, uint16 reputationUp, uint16 reputationDown)';
+const ARBITRATOR = 'tuple(address address_, bytes publicKey, string name, string bio, string avatar, uint16 fee, uint16 settledCount, uint16 refusedCount)';
+const REVIEW = 'tuple(address reviewer, uint256 jobId, uint8 rating, string text, uint32 timestamp)';
+
+/**
+ * MarketplaceV1: job posts, escrow and the job lifecycle
+ */
+const MarketplaceV1ABI = [
+  // Views
+  "function version() view returns (uint256)",
+  "function owner() view returns (address)",
+  "function marketplaceData() view returns (address)",
+  "function unicrowAddress() view returns (address)",
+  "function unicrowDisputeAddress() view returns (address)",
+  "function unicrowArbitratorAddress() view returns (address)",
+  "function treasuryAddress() view returns (address)",
+  "function unicrowMarketplaceFee() view returns (uint16)",
+  "function jobsLength() view returns (uint256)",
+  `function getJob(uint256 jobId_) view returns (${JOB_POST})`,
+  "function whitelistWorkers(uint256 jobId_, address worker_) view returns (bool)",
+
+  // Job creator
+  "function publishJobPost(string title_, bytes32 contentHash_, bool multipleApplicants_, string[] tags_, address token_, uint256 amount_, uint32 maxTime_, string deliveryMethod_, address arbitrator_, address[] allowedWorkers_) returns (uint256)",
+  "function updateJobPost(uint256 jobId_, string title_, bytes32 contentHash_, string[] tags_, uint256 amount_, uint32 maxTime_, address arbitrator_, bool whitelistWorkers_) external",
+  "function updateJobWhitelist(uint256 jobId_, address[] allowedWorkers_, address[] disallowedWorkers_) external",
+  "function closeJob(uint256 jobId_) external",
+  "function withdrawCollateral(uint256 jobId_) external",
+  "function reopenJob(uint256 jobId_) external",
+  "function payStartJob(uint256 jobId_, address worker_) external payable",
+  "function approveResult(uint256 jobId_, uint8 reviewRating_, string reviewText_) external",
+  "function review(uint256 jobId_, uint8 reviewRating_, string reviewText_) external",
+
+  // Worker
+  "function postThreadMessage(uint256 jobId_, bytes32 contentHash_, address recipient) external",
+  "function takeJob(uint256 jobId_, bytes signature_) external",
+  "function deliverResult(uint256 jobId_, bytes32 resultHash_) external",
+  "function refund(uint256 jobId_) external",
+
+  // Disputes
+  "function dispute(uint256 jobId_, bytes32 sessionKey_, bytes32 content_) external",
+  "function arbitrate(uint256 jobId_, uint16 buyerShare_, uint16 workerShare_, bytes32 reasonHash_) external",
+  "function refuseArbitration(uint256 jobId_) external",
+
+  // Administration
+  "function setMarketplaceDataAddress(address marketplaceDataAddress_) external",
+  "function setTreasuryAddress(address treasuryAddress_) external",
+  "function transferOwnership(address newOwner) external",
+
+  // Events
+  "event MarketplaceDataAddressChanged(address indexed marketplaceDataAddress)",
+  "event TreasuryAddressChanged(address indexed treasuryAddress)",
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)"
+];
+
+/**
+ * MarketplaceDataV1: users, arbitrators, reviews, job events and thread messages
+ */
+const MarketplaceDataV1ABI = [
+  // Views
+  "function marketplace() view returns (address)",
+  "function userRegistered(address) view returns (bool)",
+  "function publicKeys(address) view returns (bytes)",
+  "function users(address) view returns (address address_, bytes publicKey, string name, string bio, string avatar, uint16 reputationUp, uint16 reputationDown)",
+  `function getUser(address userAddress_) view returns (${USER})`,
+  "function usersLength() view returns (uint256)",
+  `function getUsers(uint256 index_, uint256 limit_) view returns (${USER}[])`,
+  "function arbitratorRegistered(address) view returns (bool)",
+  "function arbitrators(address) view returns (address address_, bytes publicKey, string name, string bio, string avatar, uint16 fee, uint16 settledCount, uint16 refusedCount)",
+  `function getArbitrator(address arbitratorAddress_) view returns (${ARBITRATOR})`,
+  "function arbitratorsLength() view returns (uint256)",
+  `function getArbitrators(uint256 index_, uint256 limit_) view returns (${ARBITRATOR}[])`,
+  "function reviewsLength(address target_) view returns (uint256)",
+  `function getReviews(address target_, uint256 index_, uint256 limit_) view returns (${REVIEW}[])`,
+  "function eventsLength(uint256 jobId_) view returns (uint256)",
+  `function getEvents(uint256 jobId_, uint256 index_, uint256 limit_) view returns (${JOB_EVENT_DATA}[])`,
+  `function getThreadMessages(uint256 jobId_) view returns (${THREAD_MESSAGE}[])`,
+
+  // Users and arbitrators
+  "function registerUser(bytes pubkey_, string name_, string bio_, string avatar_) external",
+  "function updateUser(string name_, string bio_, string avatar_) external",
+  "function registerArbitrator(bytes pubkey_, string name_, string bio_, string avatar_, uint16 fee_) external",
+  "function updateArbitrator(string name_, string bio_, string avatar_) external",
+
+  // Job events (also written by MarketplaceV1)
+  `function publishJobEvent(uint256 jobId_, ${JOB_EVENT_DATA} event_) external`,
+
+  // Called by MarketplaceV1
+  "function updateUserRating(address userAddress_, uint8 reviewRating_) external",
+  "function addReview(address target_, address reviewer_, uint256 jobId_, uint8 rating_, string text_) external",
+  "function setMarketplaceAddress(address marketplaceAddress_) external",
+
+  // Events
+  `event JobEvent(uint256 indexed jobId, ${JOB_EVENT_DATA} eventData)`,
+  "event PublicKeyRegistered(address indexed addr, bytes pubkey)",
+  "event UserRegistered(address indexed addr, bytes pubkey, string name, string bio, string avatar)",
+  "event UserUpdated(address indexed addr, string name, string bio, string avatar)",
+  "event ArbitratorRegistered(address indexed addr, bytes pubkey, string name, string bio, string avatar, uint16 fee)",
+  "event ArbitratorUpdated(address indexed addr, string name, string bio, string avatar)",
+  "event MarketplaceAddressChanged(address indexed marketplaceAddress)"
+];
+
+/**
+ * ERC20 payment tokens
+ */
+const ERC20ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address owner) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 value) returns (bool)",
+  "function transfer(address to, uint256 value) returns (bool)",
+  "function transferFrom(address from, address to, uint256 value) returns (bool)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "event Approval(address indexed owner, address indexed spender, uint256 value)"
+];
+
+module.exports = { MarketplaceV1ABI, MarketplaceDataV1ABI, ERC20ABI };
@@ -0,0 +1,210 @@
+// src/contracts/index.js
+const { ethers } = require('ethers');
+const config = require('../config');
+const fakeMarketplace = require('../fake-marketplace');
+const { Job } = require('../job');
+const { MarketplaceV1ABI, MarketplaceDataV1ABI, ERC20ABI } = require('./abi');
+
+/**
+ * Typed client for the MarketplaceV1 and MarketplaceDataV1 contracts
+ * Views are decoded into `Job`s and plain objects; writes go through the
+ * `marketplace` and `marketplaceData` contract instances
+ */
+class MarketplaceClient {
+  /**
+   * Constructor
+   * @param {Object} contracts - {marketplace, marketplaceData, provider}
+   * @param {ethers.AbstractSigner} signer - Signer the contracts are connected to
+   * @param {string|null} networkName - Network the contracts live on, recorded on decoded jobs
+   */
+  constructor({ marketplace, marketplaceData, provider }, signer, networkName = null) {
+    this.marketplace = marketplace;
+    this.marketplaceData = marketplaceData;
+    this.provider = provider;
+    this.signer = signer;
+    this.networkName = networkName;
+  }
+
+  /**
+   * Create a client for a network, or for the fake marketplace in offline mode
+   * @param {Object} network - Network profile from the configuration
+   * @param {ethers.AbstractSigner} signer - Signer for writes
+   * @returns {MarketplaceClient} - Client instance
+   */
+  static create(network, signer) {
+    if (config.fakeMarketplace) {
+      fakeMarketplace.initialize(signer);
+      return new MarketplaceClient(fakeMarketplace, signer, network.name);
+    }
+
+    return new MarketplaceClient({
+      marketplace: new ethers.Contract(network.marketplaceAddress, MarketplaceV1ABI, signer),
+      marketplaceData: new ethers.Contract(network.marketplaceDataAddress, MarketplaceDataV1ABI, signer),
+      provider: signer.provider
+    }, signer, network.name);
+  }
+
+  /**
+   * Create a client from the configuration, for scripts that run outside the agent manager
+   * @param {string} [networkName] - Network name (default: the first network)
+   * @returns {MarketplaceClient} - Client instance connected to the agent signer
+   */
+  static async fromConfig(networkName = null) {
+    const network = networkName ? config.getNetwork(networkName) : config.networks[0];
+    return MarketplaceClient.create(network, await config.getSigner(network));
+  }
+
+  /**
+   * Get the number of jobs
+   * @returns {number} - Job count
+   */
+  async getJobsLength() {
+    return Number(await this.marketplace.jobsLength());
+  }
+
+  /**
+   * Get a job
+   * @param {number} jobId - Job ID
+   * @returns {Job} - Decoded job
+   */
+  async getJob(jobId) {
+    return Job.fromResult(jobId, await this.marketplace.getJob(jobId), this.networkName);
+  }
+
+  /**
+   * Check whether a worker is whitelisted for a job
+   * @param {number} jobId - Job ID
+   * @param {string} worker - Worker address
+   * @returns {boolean} - True if whitelisted
+   */
+  async isWhitelisted(jobId, worker) {
+    return Boolean(await this.marketplace.whitelistWorkers(jobId, worker));
+  }
+
+  /**
+   * Check whether an address is registered as a user
+   * @param {string} address - User address
+   * @returns {boolean} - True if registered
+   */
+  async isRegistered(address) {
+    return Boolean(await this.marketplaceData.userRegistered(address));
+  }
+
+  /**
+   * Get the registered encryption public key of a user
+   * @param {string} address - User address
+   * @returns {string|null} - Compressed public key, or null if none is registered
+   */
+  async getPublicKey(address) {
+    const publicKey = await this.marketplaceData.publicKeys(address);
+    return publicKey && publicKey !== '0x' ? publicKey : null;
+  }
+
+  /**
+   * Get a user's profile
+   * @param {string} address - User address
+   * @returns {Object} - {address, publicKey, name, bio, avatar, reputationUp, reputationDown}
+   */
+  async getUser(address) {
+    const user = await this.marketplaceData.users(address);
+
+    return {
+      address: user[0],
+      publicKey: user[1],
+      name: user[2],
+      bio: user[3],
+      avatar: user[4],
+      reputationUp: Number(user[5]),
+      reputationDown: Number(user[6])
+    };
+  }
+
+  /**
+   * Get the number of events of a job (its revision)
+   * @param {number} jobId - Job ID
+   * @returns {number} - Event count
+   */
+  async getEventsLength(jobId) {
+    return Number(await this.marketplaceData.eventsLength(jobId));
+  }
+
+  /**
+   * Get the event history of a job
+   * @param {number} jobId - Job ID
+   * @returns {Array<Object>} - Events, oldest first: {type, address, data, timestamp}
+   */
+  async getJobEvents(jobId) {
+    const eventsLength = await this.getEventsLength(jobId);
+    const events = await this.marketplaceData.getEvents(jobId, 0, eventsLength);
+
+    return events.map(event => this.decodeJobEvent(event));
+  }
+
+  /**
+   * Decode a `JobEventData` tuple
+   * @param {Object} event - Raw event data
+   * @returns {Object} - {type, address, data, timestamp}
+   */
+  decodeJobEvent(event) {
+    return {
+      type: Number(event.type_),
+      address: event.address_,
+      data: event.data_,
+      timestamp: new Date(Number(event.timestamp_) * 1000)
+    };
+  }
+
+  /**
+   * Get the thread messages of a job, in on-chain order
+   * @param {number} jobId - Job ID
+   * @returns {Array<Object>} - Messages: {index, contentHash, sender, recipient, timestamp}
+   */
+  async getThreadMessages(jobId) {
+    const messages = await this.marketplaceData.getThreadMessages(jobId);
+
+    return messages.map((message, index) => ({
+      index,
+      contentHash: message.contentHash,
+      sender: message.sender,
+      recipient: message.recipient,
+      timestamp: new Date(Number(message.timestamp) * 1000)
+    }));
+  }
+
+  /**
+   * Sign the take request for a job at its current revision
+   * @param {number} jobId - Job ID
+   * @returns {string} - Signature for `takeJob`
+   */
+  async signTakeJob(jobId) {
+    const revision = await this.getEventsLength(jobId);
+
+    const messageHash = ethers.keccak256(
+      ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "uint256"], [revision, jobId])
+    );
+
+    return this.signer.signMessage(ethers.getBytes(messageHash));
+  }
+
+  /**
+   * Get the symbol and decimals of a payment token
+   * @param {string} token - Token address (zero address for ETH)
+   * @returns {Object} - Token info ({symbol, decimals})
+   */
+  async getTokenInfo(token) {
+    if (token === ethers.ZeroAddress) {
+      return { symbol: 'ETH', decimals: 18 };
+    }
+
+    if (config.fakeMarketplace) {
+      return fakeMarketplace.getTokenInfo(token);
+    }
+
+    const contract = new ethers.Contract(token, ERC20ABI, this.provider);
+    const [symbol, decimals] = await Promise.all([contract.symbol(), contract.decimals()]);
+
+    return { symbol, decimals: Number(decimals) };
+  }
+}
+
+module.exports = { MarketplaceClient, MarketplaceV1ABI, MarketplaceDataV1ABI, ERC20ABI };
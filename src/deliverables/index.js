@@ -0,0 +1,355 @@
+// src/deliverables/index.js
+const fs = require('fs');
+const path = require('path');
+const { createHash } = require('crypto');
+const config = require('../config');
+const encryption = require('../encryption');
+
+// Content type of the envelope holding a file set manifest
+const MANIFEST_CONTENT_TYPE = 'application/vnd.eacc.manifest+json';
+const MANIFEST_VERSION = 1;
+
+// Content types guessed from file extensions when a file does not give one
+const CONTENT_TYPES = {
+  '.js': 'text/javascript',
+  '.json': 'application/json',
+  '.md': 'text/markdown',
+  '.txt': 'text/plain',
+  '.html': 'text/html',
+  '.css': 'text/css',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip'
+};
+
+/**
+ * Multi-file deliverables
+ * Each file is encrypted and uploaded as its own envelope, and a manifest listing
+ * every file with its size, SHA-256 hash and CID is uploaded last; the manifest CID is delivered.
+ * Files given as local paths are streamed in authenticated chunks instead of being read into memory
+ */
+class Deliverables {
+  /**
+   * Check whether a packaged result is a file set rather than text
+   * @param {any} result - Packaged result
+   * @returns {boolean} - True for `{files: [...]}`
+   */
+  isFileSet(result) {
+    return Boolean(result && typeof result === 'object' && Array.isArray(result.files));
+  }
+
+  /**
+   * Encrypt and publish a file set
+   * @param {Object} fileSet - File set
+   * @param {Array<Object>} fileSet.files - Files: {path, content (string or Buffer) or file (local path), contentType?}
+   * @param {string} [fileSet.message] - Note for the recipient, stored in the manifest
+   * @param {string} key - Session key (hex string)
+   * @param {Object} ipfs - IPFS settings of the network
+   * @param {Object} metadata - Envelope metadata ({sender, recipient, jobId})
+   * @param {Function} [onProgress] - Called with {path, bytes, total} while local files are uploaded
+   * @returns {Object} - {hash, size, manifest}: manifest CID, total uploaded size and the manifest
+   */
+  async publish(fileSet, key, ipfs, metadata, onProgress = null) {
+    this.validate(fileSet);
+
+    const files = [];
+    let totalSize = 0;
+
+    for (const file of fileSet.files) {
+      const contentType = file.contentType || this.getContentType(file.path);
+      const fileMetadata = { ...metadata, contentType, filename: file.path };
+      let entry;
+
+      if (file.file) {
+        // Hashed in a first pass so the file is never held in memory
+        const { size, sha256 } = await this.hashFile(file.file);
+        const { hash, size: uploaded } = await encryption.publishStreamToIpfs(
+          file.file,
+          key,
+          ipfs,
+          fileMetadata,
+          onProgress && (progress => onProgress({ path: file.path, ...progress }))
+        );
+
+        entry = { path: file.path, size, sha256, contentType, encoding: 'chunked', cid: hash };
+        totalSize += Number(uploaded) || 0;
+      } else {
+        const data = Buffer.from(file.content);
+        const { hash, size: uploaded } = await encryption.publishToIpfs(data, key, ipfs, fileMetadata);
+
+        entry = { path: file.path, size: data.length, sha256: this.hash(data), contentType, cid: hash };
+        totalSize += Number(uploaded) || 0;
+      }
+
+      files.push(entry);
+    }
+
+    const manifest = {
+      version: MANIFEST_VERSION,
+      message: fileSet.message || null,
+      files
+    };
+
+    const { hash, size } = await encryption.publishToIpfs(JSON.stringify(manifest, null, 2), key, ipfs, {
+      ...metadata,
+      contentType: MANIFEST_CONTENT_TYPE,
+      filename: 'manifest.json'
+    });
+
+    console.log(`Published file set of ${files.length} files with manifest ${hash}`);
+    return { hash, size: totalSize + (Number(size) || 0), manifest };
+  }
+
+  /**
+   * Retrieve, decrypt and verify a file set
+   * @param {string} cid - Manifest CID
+   * @param {string} key - Session key (hex string)
+   * @param {Object} [ipfs] - IPFS settings of the network (default: the global IPFS settings)
+   * @returns {Object} - {manifest, files}: files are {path, contentType, size, data (Buffer)}
+   * @throws {Error} if the CID is not a manifest or a file does not match it
+   */
+  async retrieve(cid, key, ipfs = config.ipfs) {
+    const manifest = await this.getManifest(cid, key, ipfs);
+    const files = [];
+
+    for (const file of manifest.files) {
+      const { data } = await encryption.getEnvelopeFromIpfs(file.cid, key, ipfs);
+
+      if (data.length !== file.size || this.hash(data) !== file.sha256) {
+        throw new Error(`File ${file.path} does not match the manifest (size ${data.length}, expected ${file.size})`);
+      }
+
+      files.push({ path: file.path, contentType: file.contentType, size: file.size, data });
+    }
+
+    return { manifest, files };
+  }
+
+  /**
+   * Download, decrypt and verify a file set straight to a directory
+   * Chunked files are streamed to disk, so deliverables larger than memory can be fetched
+   * @param {string} cid - Manifest CID
+   * @param {string} key - Session key (hex string)
+   * @param {string} outputDir - Directory to write to
+   * @param {Object} [ipfs] - IPFS settings of the network (default: the global IPFS settings)
+   * @param {Function} [onProgress] - Called with {path, bytes, total} while chunked files are downloaded
+   * @returns {Object} - {manifest, paths}: the manifest and the paths of the written files
+   * @throws {Error} if the CID is not a manifest or a file does not match it (the file is removed)
+   */
+  async download(cid, key, outputDir, ipfs = config.ipfs, onProgress = null) {
+    const manifest = await this.getManifest(cid, key, ipfs);
+    const paths = [];
+
+    for (const file of manifest.files) {
+      const target = this.resolvePath(outputDir, file.path);
+      let size;
+      let sha256;
+
+      if (file.encoding === 'chunked') {
+        ({ size, sha256 } = await encryption.downloadFromIpfs(
+          file.cid,
+          key,
+          target,
+          ipfs,
+          onProgress && (progress => onProgress({ path: file.path, ...progress }))
+        ));
+      } else {
+        const { data } = await encryption.getEnvelopeFromIpfs(file.cid, key, ipfs);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, data);
+        size = data.length;
+        sha256 = this.hash(data);
+      }
+
+      if (size !== file.size || sha256 !== file.sha256) {
+        fs.rmSync(target, { force: true });
+        throw new Error(`File ${file.path} does not match the manifest (size ${size}, expected ${file.size})`);
+      }
+
+      paths.push(target);
+    }
+
+    return { manifest, paths };
+  }
+
+  /**
+   * Write retrieved files to a directory, recreating their relative paths
+   * @param {Array<Object>} files - Files from retrieve()
+   * @param {string} outputDir - Directory to write to
+   * @returns {Array<string>} - Paths of the written files
+   */
+  save(files, outputDir) {
+    return files.map(file => {
+      const target = this.resolvePath(outputDir, file.path);
+
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, file.data);
+
+      return target;
+    });
+  }
+
+  /**
+   * Summarize a file set without its contents, e.g. for dispute evidence and reports
+   * @param {Object} fileSet - File set
+   * @returns {Object} - {message, files: [{path, size, sha256}]}
+   */
+  summarize(fileSet) {
+    return {
+      message: fileSet.message || null,
+      files: fileSet.files.map(file => {
+        // Local files are not read again here, their hash is in the published manifest
+        if (file.file) {
+          return { path: file.path, size: fs.statSync(file.file).size, sha256: null };
+        }
+
+        const data = Buffer.from(file.content);
+        return { path: file.path, size: data.length, sha256: this.hash(data) };
+      })
+    };
+  }
+
+  /**
+   * Flatten a file set into a single text result, for recipients that only read the raw format
+   * Each file follows the message under a header with its path; binary files are inlined as base64
+   * @param {Object} fileSet - File set
+   * @returns {string} - Text result
+   */
+  toText(fileSet) {
+    this.validate(fileSet);
+
+    const sections = fileSet.files.map(file => {
+      const data = file.file ? fs.readFileSync(file.file) : Buffer.from(file.content);
+      const text = data.toString('utf8');
+
+      // Content that does not survive a UTF-8 round trip is binary
+      return Buffer.from(text, 'utf8').equals(data)
+        ? `===== ${file.path} =====\n${text}`
+        : `===== ${file.path} (base64) =====\n${data.toString('base64')}`;
+    });
+
+    return [fileSet.message, ...sections].filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * Retrieve and decrypt the manifest of a file set
+   * @param {string} cid - Manifest CID
+   * @param {string} key - Session key (hex string)
+   * @param {Object} ipfs - IPFS settings of the network
+   * @returns {Object} - Manifest
+   * @throws {Error} if the CID is not a manifest
+   * @private
+   */
+  async getManifest(cid, key, ipfs) {
+    const { content, envelope } = await encryption.getEnvelopeFromIpfs(cid, key, ipfs);
+
+    if (!envelope || envelope.contentType !== MANIFEST_CONTENT_TYPE) {
+      throw new Error(`CID ${cid} is not a file set manifest`);
+    }
+
+    const manifest = JSON.parse(content);
+
+    if (manifest.version > MANIFEST_VERSION) {
+      throw new Error(`Unsupported manifest version ${manifest.version}`);
+    }
+
+    return manifest;
+  }
+
+  /**
+   * Check that a file set can be published
+   * @param {Object} fileSet - File set
+   * @throws {Error} if it is empty, or a path is missing, duplicated or escapes the deliverable
+   * @private
+   */
+  validate(fileSet) {
+    if (fileSet.files.length === 0) {
+      throw new Error('File set has no files');
+    }
+
+    const paths = new Set();
+
+    for (const file of fileSet.files) {
+      if (!file.path || ((file.content === undefined || file.content === null) && !file.file)) {
+        throw new Error('Every file needs a path and content or a local file');
+      }
+
+      if (file.file && !fs.existsSync(file.file)) {
+        throw new Error(`File not found: ${file.file}`);
+      }
+
+      // Throws for absolute paths and paths leaving the directory
+      this.resolvePath('.', file.path);
+
+      if (paths.has(file.path)) {
+        throw new Error(`Duplicate file path: ${file.path}`);
+      }
+      paths.add(file.path);
+    }
+  }
+
+  /**
+   * Resolve a file path inside a directory
+   * @param {string} dir - Directory
+   * @param {string} filePath - Relative file path from a manifest
+   * @returns {string} - Absolute path
+   * @throws {Error} if the path is absolute or leaves the directory
+   * @private
+   */
+  resolvePath(dir, filePath) {
+    const root = path.resolve(dir);
+    const target = path.resolve(root, filePath);
+
+    if (path.isAbsolute(filePath) || !target.startsWith(root + path.sep)) {
+      throw new Error(`Invalid file path: ${filePath}`);
+    }
+
+    return target;
+  }
+
+  /**
+   * Get the content type of a file from its extension
+   * @param {string} filePath - File path
+   * @returns {string} - MIME type
+   * @private
+   */
+  getContentType(filePath) {
+    return CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+  }
+
+  /**
+   * Hash a local file without reading it into memory
+   * @param {string} filePath - Local file path
+   * @returns {Object} - {size, sha256}
+   * @private
+   */
+  async hashFile(filePath) {
+    const hasher = createHash('sha256');
+    let size = 0;
+
+    for await (const chunk of fs.createReadStream(filePath)) {
+      hasher.update(chunk);
+      size += chunk.length;
+    }
+
+    return { size, sha256: '0x' + hasher.digest('hex') };
+  }
+
+  /**
+   * Hash file contents
+   * @param {Buffer} data - File contents
+   * @returns {string} - SHA-256 as a 0x-prefixed hex string
+   * @private
+   */
+  hash(data) {
+    return '0x' + createHash('sha256').update(data).digest('hex');
+  }
+}
+
+// Create and export a singleton instance
+const deliverables = new Deliverables();
+module.exports = deliverables;
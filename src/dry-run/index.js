@@ -0,0 +1,36 @@
+// src/dry-run/index.js
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+/**
+ * Report of the marketplace actions that would have been taken in dry-run mode
+ * Written as one JSON object per line
+ */
+class DryRunReport {
+  constructor() {
+    this.filePath = path.join(config.dataDir, 'dry-run-report.jsonl');
+  }
+
+  /**
+   * Record a would-be action
+   * @param {Object} entry - Action details (action, jobId, message, encryptedSize, gasEstimate, error)
+   */
+  record(entry) {
+    const line = JSON.stringify(
+      { timestamp: new Date().toISOString(), ...entry },
+      (key, value) => (typeof value === 'bigint' ? value.toString() : value)
+    );
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, `${line}\n`);
+
+    const outcome = entry.error ? `would fail: ${entry.error}` : `estimated gas ${entry.gasEstimate}`;
+    const job = entry.jobId !== undefined ? ` for job ${entry.jobId}` : '';
+    console.log(`[dry run] ${entry.action}${job} ${outcome}`);
+  }
+}
+
+// Create and export a singleton instance
+const dryRunReport = new DryRunReport();
+module.exports = dryRunReport;
@@ -1,103 +1,153 @@
 // src/encryption/index.js
 const { ethers } = require('ethers');
-const { createCipheriv, createDecipheriv, randomBytes } = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createCipheriv, createDecipheriv, createHash, randomBytes } = require('crypto');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const bs58 = require('bs58');
 const multihash = require('multihashes');
 const axios = require('axios');
 const FormData = require('form-data');
 const config = require('../config');
+const fakeMarketplace = require('../fake-marketplace');
+const { EncryptStream, DecryptStream, decryptChunked, isChunked } = require('./stream');
+
+// Message signed to derive the encryption key pair, shared with the EACC web app
+const ENCRYPTION_KEY_MESSAGE = 'Eacc Encryption Key';
+
+// Version of the encrypted message envelope written by publishToIpfs
+const ENVELOPE_VERSION = 1;
+const ENVELOPE_ALGORITHM = 'aes-256-gcm';
 
 /**
  * Encryption module for secure messaging on EACC
  */
 class Encryption {
+  constructor() {
+    this.keyPairs = new Map(); // Cache of signer address to derived encryption key pair
+  }
+
   /**
-   * Get the encryption signing key for a wallet
-   * @param {ethers.Wallet} wallet - Ethereum wallet
-   * @returns {Object} - Public and private keys
+   * Derive the encryption key pair of a signer
+   * The private key is the keccak256 of a signature over a fixed message, like in the EACC web app,
+   * so it can be re-derived from any deterministic (RFC 6979) signer, including keystores and remote signers
+   * @param {ethers.AbstractSigner} wallet - Agent signer
+   * @returns {ethers.SigningKey} - Encryption key pair
+   * @private
    */
-  async getEncryptionSigningKey(wallet) {
-    // The private key is used to derive the key pair
-    const privateKeyBuffer = Buffer.from(wallet.privateKey.slice(2), 'hex');
+  async getEncryptionKeyPair(wallet) {
+    const address = wallet.address.toLowerCase();
     
-    try {
-      // For EACC, we need to use the key that's already registered
-      // We can retrieve this from the contract directly
-      const MarketplaceDataV1ABI = [
-        "function publicKeys(address) view returns (bytes)"
-      ];
+    if (!this.keyPairs.has(address)) {
+      const signature = await wallet.signMessage(ENCRYPTION_KEY_MESSAGE);
       
-      const provider = wallet.provider;
-      const marketplaceData = new ethers.Contract(
-        process.env.MARKETPLACE_DATA_ADDRESS,
-        MarketplaceDataV1ABI,
-        wallet
-      );
-      
-      // First check if the key is already in the contract
-      const registeredKey = await marketplaceData.publicKeys(wallet.address);
-      
-      if (registeredKey && registeredKey !== '0x') {
-        console.log(`Using registered public key: ${registeredKey}`);
-        return {
-          privateKey: privateKeyBuffer,
-          compressedPublicKey: registeredKey
-        };
+      if (ethers.verifyMessage(ENCRYPTION_KEY_MESSAGE, signature) !== wallet.address) {
+        throw new Error('Signer returned a signature for another account');
       }
       
-      // If we don't have a registered key, derive it using SigningKey
-      console.log('No registered key found, deriving new key...');
-      const signingKey = new ethers.SigningKey(wallet.privateKey);
-      const publicKey = signingKey.publicKey;
+      this.keyPairs.set(address, new ethers.SigningKey(ethers.keccak256(signature)));
+    }
+    
+    return this.keyPairs.get(address);
+  }
+
+  /**
+   * Keep using the signer's own key pair if that is what the signer registered
+   * Agents registered before session keys used ECDH registered the public key of the signer itself.
+   * ECDH with the signer's private key keeps messages to such a registration readable, but only
+   * signers holding a local key (private key or keystore) can do that
+   * @param {ethers.AbstractSigner} wallet - Agent signer
+   * @param {string} registeredKey - Public key registered for the signer
+   * @returns {boolean} - True if the key pair in use now matches the registered key
+   */
+  async useRegisteredKey(wallet, registeredKey) {
+    const signerKey = wallet.signingKey;
+    
+    if (signerKey && signerKey.compressedPublicKey.toLowerCase() === registeredKey.toLowerCase()) {
+      console.log(`Registered public key of ${wallet.address} is the signer's own key, using it for encryption`);
+      this.keyPairs.set(wallet.address.toLowerCase(), signerKey);
+      return true;
+    }
+    
+    return (await this.getEncryptionPublicKey(wallet)).toLowerCase() === registeredKey.toLowerCase();
+  }
+
+  /**
+   * Get the compressed encryption public key of a signer, as registered on EACC
+   * @param {ethers.AbstractSigner} wallet - Agent signer
+   * @returns {string} - Compressed public key (0x02... or 0x03...)
+   */
+  async getEncryptionPublicKey(wallet) {
+    return (await this.getEncryptionKeyPair(wallet)).compressedPublicKey;
+  }
+
+  /**
+   * Compress a secp256k1 public key
+   * The prefix encodes the parity of the Y coordinate: 0x02 if even, 0x03 if odd
+   * @param {string|Uint8Array} publicKey - Compressed or uncompressed public key
+   * @returns {string} - Compressed public key (33 bytes)
+   */
+  compressPublicKey(publicKey) {
+    return ethers.SigningKey.computePublicKey(publicKey, true);
+  }
+
+  /**
+   * Decompress a secp256k1 public key
+   * @param {string|Uint8Array} publicKey - Compressed or uncompressed public key
+   * @returns {string} - Uncompressed public key (0x04..., 65 bytes)
+   */
+  decompressPublicKey(publicKey) {
+    return ethers.SigningKey.computePublicKey(publicKey, false);
+  }
+
+  /**
+   * Check whether a key is a compressed secp256k1 public key on the curve
+   * @param {string|Uint8Array} publicKey - Public key
+   * @returns {boolean} - True if the key can be used for encryption
+   */
+  isValidPublicKey(publicKey) {
+    try {
+      const bytes = ethers.getBytes(publicKey);
       
-      // We need to convert to compressed format for EACC
-      // This is simplified - in a full implementation we'd use proper EC compression
-      let compressedPublicKey;
-      if (publicKey.startsWith('0x04')) {
-        // This is just an example - in real code you'd properly compress the key
-        // For now, we'll use a placeholder that matches the format
-        compressedPublicKey = '0x03' + publicKey.slice(4, 68);
-      } else {
-        compressedPublicKey = publicKey;
+      if (bytes.length !== 33 || (bytes[0] !== 0x02 && bytes[0] !== 0x03)) {
+        return false;
       }
       
-      console.log(`Derived compressed public key: ${compressedPublicKey}`);
-      return {
-        privateKey: privateKeyBuffer,
-        compressedPublicKey
-      };
+      // Throws if X is not the coordinate of a point on the curve
+      this.decompressPublicKey(bytes);
+      return true;
     } catch (error) {
-      console.error('Error getting encryption signing key:', error);
-      throw error;
+      return false;
     }
   }
 
   /**
-   * Derive a session key for secure communication
-   * @param {ethers.Wallet} wallet - Ethereum wallet
-   * @param {string} otherPublicKey - Public key of the other party
-   * @param {string|number} jobId - Job identifier
-   * @returns {string} - Session key
+   * Derive the session key shared with another party for a job
+   * ECDH between our encryption key and their registered key gives both sides the same secret,
+   * which is hashed together with the job ID so every job gets its own key
+   * @param {ethers.AbstractSigner} wallet - Agent signer
+   * @param {string} otherPublicKey - Registered public key of the other party
+   * @param {string|number|bigint} jobId - Job identifier
+   * @returns {string} - Session key (32 bytes as hex, without 0x prefix)
    */
   async getSessionKey(wallet, otherPublicKey, jobId) {
     try {
-      console.log(`Generating session key for job ${jobId}`);
-      console.log(`Other party's public key: ${otherPublicKey}`);
-      
-      // This is the standard method from your original code
-      const messageToSign = `session-key-${jobId}-${otherPublicKey}`;
-      console.log(`Message to sign: ${messageToSign}`);
+      if (!this.isValidPublicKey(otherPublicKey)) {
+        throw new Error(`Invalid public key: ${otherPublicKey}`);
+      }
       
-      const signature = await wallet.signMessage(messageToSign);
-      console.log(`Signature (abbreviated): ${signature.slice(0, 20)}...`);
+      const keyPair = await this.getEncryptionKeyPair(wallet);
+      const sharedSecret = keyPair.computeSharedSecret(otherPublicKey);
       
-      // Use first 32 bytes of signature as the session key
-      const sessionKey = signature.slice(2, 66);
-      console.log(`Generated session key (abbreviated): ${sessionKey.slice(0, 20)}...`);
+      const sessionKey = ethers.keccak256(ethers.concat([
+        sharedSecret,
+        ethers.toBeHex(BigInt(jobId), 32)
+      ]));
       
-      return sessionKey;
+      return sessionKey.slice(2);
     } catch (error) {
-      console.error('Error deriving session key:', error);
+      console.error(`Error deriving session key for job ${jobId}:`, error);
       throw error;
     }
   }
@@ -106,16 +156,43 @@ class Encryption {
    * Encrypt data using AES-256-GCM
    * @param {string} data - Data to encrypt
    * @param {string} key - Encryption key (hex string)
+   * @param {Buffer} [additionalData] - Data authenticated but not encrypted
    * @returns {Buffer} - Encrypted data
    */
-  encryptUtf8Data(data, key) {
+  encryptUtf8Data(data, key, additionalData = null) {
+    return this.encryptData(Buffer.from(data, 'utf8'), key, additionalData);
+  }
+
+  /**
+   * Decrypt data using AES-256-GCM
+   * @param {Buffer} encryptedData - Encrypted data
+   * @param {string} key - Decryption key (hex string)
+   * @param {Buffer} [additionalData] - Data that was authenticated with the ciphertext
+   * @returns {string} - Decrypted data as UTF-8 string
+   */
+  decryptToUtf8(encryptedData, key, additionalData = null) {
+    return this.decryptData(encryptedData, key, additionalData).toString('utf8');
+  }
+
+  /**
+   * Encrypt binary data using AES-256-GCM
+   * @param {Buffer} data - Data to encrypt
+   * @param {string} key - Encryption key (hex string)
+   * @param {Buffer} [additionalData] - Data authenticated but not encrypted
+   * @returns {Buffer} - Encrypted data
+   */
+  encryptData(data, key, additionalData = null) {
     // Key must be 32 bytes (64 hex chars)
     const keyBuffer = Buffer.from(key.slice(0, 64), 'hex');
     const iv = randomBytes(16);
     const cipher = createCipheriv('aes-256-gcm', keyBuffer, iv);
     
+    if (additionalData) {
+      cipher.setAAD(additionalData);
+    }
+    
     const encrypted = Buffer.concat([
-      cipher.update(data, 'utf8'),
+      cipher.update(data),
       cipher.final()
     ]);
     
@@ -126,12 +203,13 @@ class Encryption {
   }
 
   /**
-   * Decrypt data using AES-256-GCM
+   * Decrypt binary data using AES-256-GCM
    * @param {Buffer} encryptedData - Encrypted data
    * @param {string} key - Decryption key (hex string)
-   * @returns {string} - Decrypted data as UTF-8 string
+   * @param {Buffer} [additionalData] - Data that was authenticated with the ciphertext
+   * @returns {Buffer} - Decrypted data
    */
-  decryptToUtf8(encryptedData, key) {
+  decryptData(encryptedData, key, additionalData = null) {
     const keyBuffer = Buffer.from(key.slice(0, 64), 'hex');
     const iv = encryptedData.slice(0, 16);
     const authTag = encryptedData.slice(16, 32);
@@ -140,45 +218,364 @@ class Encryption {
     const decipher = createDecipheriv('aes-256-gcm', keyBuffer, iv);
     decipher.setAuthTag(authTag);
     
+    if (additionalData) {
+      decipher.setAAD(additionalData);
+    }
+    
     return Buffer.concat([
       decipher.update(encrypted),
       decipher.final()
-    ]).toString('utf8');
+    ]);
+  }
+
+  /**
+   * Encrypt content into a message envelope
+   * The header fields are authenticated with the ciphertext, so they cannot be altered without failing decryption
+   * @param {string|Buffer} content - Content to encrypt (text or binary)
+   * @param {string} key - Session key (hex string)
+   * @param {Object} metadata - Envelope metadata
+   * @param {string} metadata.sender - Sender address
+   * @param {string} metadata.recipient - Recipient address
+   * @param {string|number} metadata.jobId - Job ID
+   * @param {string} [metadata.contentType] - MIME type of the content (default: text/plain)
+   * @param {string} [metadata.filename] - Original file name
+   * @returns {Object} - Envelope: {version, algorithm, sender, recipient, jobId, contentType, filename, ciphertext}
+   */
+  createEnvelope(content, key, { sender, recipient, jobId, contentType = 'text/plain', filename = null }) {
+    const header = {
+      version: ENVELOPE_VERSION,
+      algorithm: ENVELOPE_ALGORITHM,
+      sender,
+      recipient,
+      jobId: jobId.toString(),
+      contentType,
+      filename
+    };
+    
+    const ciphertext = this.encryptData(Buffer.from(content), key, this.getEnvelopeAdditionalData(header));
+    
+    return { ...header, ciphertext: ciphertext.toString('base64') };
+  }
+
+  /**
+   * Decrypt an envelope, or a raw base64 `IV|authTag|ciphertext` blob written before envelopes existed
+   * Chunked data (see publishStreamToIpfs) is also accepted once it is in memory
+   * @param {string|Buffer|Object} data - Envelope (JSON, parsed or chunked) or legacy base64 blob
+   * @param {string} key - Session key (hex string)
+   * @returns {Object} - {content, data, envelope}: text and raw bytes of the content; envelope is null for the legacy format
+   */
+  openEnvelope(data, key) {
+    if (isChunked(data)) {
+      const { header, data: decrypted } = decryptChunked(data, key);
+      return { content: decrypted.toString('utf8'), data: decrypted, envelope: header };
+    }
+    
+    const envelope = this.parseEnvelope(data);
+    
+    if (!envelope) {
+      const decrypted = this.decryptData(Buffer.from(data.toString(), 'base64'), key);
+      return { content: decrypted.toString('utf8'), data: decrypted, envelope: null };
+    }
+    
+    if (envelope.version > ENVELOPE_VERSION) {
+      throw new Error(`Unsupported envelope version ${envelope.version}`);
+    }
+    
+    if (envelope.algorithm !== ENVELOPE_ALGORITHM) {
+      throw new Error(`Unsupported envelope algorithm ${envelope.algorithm}`);
+    }
+    
+    const { ciphertext, ...header } = envelope;
+    const decrypted = this.decryptData(
+      Buffer.from(ciphertext, 'base64'),
+      key,
+      this.getEnvelopeAdditionalData(header)
+    );
+    
+    return { content: decrypted.toString('utf8'), data: decrypted, envelope: header };
+  }
+
+  /**
+   * Parse an envelope
+   * @param {string|Buffer|Object} data - Retrieved data
+   * @returns {Object|null} - Envelope, or null if the data is not one
+   * @private
+   */
+  parseEnvelope(data) {
+    let envelope = data;
+    
+    if (typeof data === 'string' || Buffer.isBuffer(data)) {
+      try {
+        envelope = JSON.parse(data.toString());
+      } catch (error) {
+        return null; // Legacy base64 content is not JSON
+      }
+    }
+    
+    if (!envelope || typeof envelope !== 'object' || !envelope.version || !envelope.ciphertext) {
+      return null;
+    }
+    
+    return envelope;
+  }
+
+  /**
+   * Serialize the header of an envelope for authentication
+   * Fields are written in a fixed order so both sides produce the same bytes
+   * @param {Object} header - Envelope header
+   * @returns {Buffer} - Additional authenticated data
+   * @private
+   */
+  getEnvelopeAdditionalData(header) {
+    return Buffer.from(JSON.stringify([
+      header.version,
+      header.algorithm,
+      header.sender.toLowerCase(),
+      header.recipient.toLowerCase(),
+      header.jobId,
+      header.contentType,
+      header.filename
+    ]));
   }
 
   /**
    * Publish data to IPFS via Pinata
-   * @param {string} content - Content to publish
+   * Encrypted content is wrapped in an envelope (see createEnvelope) when metadata is given,
+   * otherwise it is uploaded in the raw base64 `IV|authTag|ciphertext` format read by the EACC web app
+   * @param {string|Buffer} content - Content to publish (text or binary)
    * @param {string} [encryptionKey] - Optional encryption key
+   * @param {Object} [ipfs] - IPFS settings of the network (default: the global IPFS settings)
+   * @param {Object} [metadata] - Envelope metadata ({sender, recipient, jobId, contentType, filename})
    * @returns {Object} - IPFS hash and other metadata
    */
-  async publishToIpfs(content, encryptionKey = null) {
-    let dataToUpload = content;
+  async publishToIpfs(content, encryptionKey = null, ipfs = config.ipfs, metadata = null) {
+    if (!encryptionKey) {
+      return this.uploadToIpfs(Buffer.from(content), {
+        filename: metadata?.filename || 'data.txt',
+        contentType: metadata?.contentType || 'text/plain',
+        encrypted: false
+      }, ipfs);
+    }
+    
+    console.log(`Encrypting content (${content.length} ${Buffer.isBuffer(content) ? 'bytes' : 'chars'}) with key (abbreviated): ${encryptionKey.slice(0, 10)}...`);
     
-    // Encrypt if encryptionKey is provided
-    if (encryptionKey) {
-      console.log(`Encrypting content (${content.length} chars) with key (abbreviated): ${encryptionKey.slice(0, 10)}...`);
-      dataToUpload = this.encryptUtf8Data(content, encryptionKey).toString('base64');
-      console.log(`Encrypted content length: ${dataToUpload.length} chars`);
+    if (!metadata) {
+      const encrypted = this.encryptData(Buffer.from(content), encryptionKey).toString('base64');
+      console.log(`Encrypted data length: ${encrypted.length} chars`);
+      
+      return this.uploadToIpfs(Buffer.from(encrypted), {
+        filename: 'data.txt',
+        contentType: 'text/plain',
+        encrypted: true
+      }, ipfs);
+    }
+    
+    const envelope = JSON.stringify(this.createEnvelope(content, encryptionKey, metadata));
+    console.log(`Encrypted envelope length: ${envelope.length} chars`);
+    
+    return this.uploadToIpfs(Buffer.from(envelope), {
+      filename: 'message.json',
+      contentType: 'application/json',
+      encrypted: true
+    }, ipfs);
+  }
+
+  /**
+   * Create a stream encrypting data in authenticated chunks
+   * @param {string} key - Session key (hex string)
+   * @param {Object} metadata - Header metadata ({sender, recipient, jobId, contentType, filename})
+   * @returns {EncryptStream} - Transform stream
+   */
+  createEncryptStream(key, { sender, recipient, jobId, contentType = 'application/octet-stream', filename = null }) {
+    return new EncryptStream(key, {
+      sender,
+      recipient,
+      jobId: jobId.toString(),
+      contentType,
+      filename
+    }, config.encryptionChunkSize);
+  }
+
+  /**
+   * Create a stream decrypting chunked data, emitting 'header' once the header is read
+   * @param {string} key - Session key (hex string)
+   * @returns {DecryptStream} - Transform stream
+   */
+  createDecryptStream(key) {
+    return new DecryptStream(key);
+  }
+
+  /**
+   * Encrypt a stream or local file in chunks and upload it without holding it in memory
+   * @param {stream.Readable|string} source - Readable stream, or path of a local file
+   * @param {string} encryptionKey - Session key (hex string)
+   * @param {Object} [ipfs] - IPFS settings of the network (default: the global IPFS settings)
+   * @param {Object} metadata - Header metadata ({sender, recipient, jobId, contentType, filename})
+   * @param {Function} [onProgress] - Called with {bytes, total} as plaintext is read; total is null if unknown
+   * @returns {Object} - IPFS hash and other metadata
+   */
+  async publishStreamToIpfs(source, encryptionKey, ipfs = config.ipfs, metadata = null, onProgress = null) {
+    if (!metadata) {
+      throw new Error('Metadata is required to publish encrypted content');
+    }
+    
+    const total = typeof source === 'string' ? fs.statSync(source).size : null;
+    const input = typeof source === 'string' ? fs.createReadStream(source) : source;
+    const filename = metadata.filename || (typeof source === 'string' ? path.basename(source) : null);
+    
+    const encrypted = input
+      .pipe(this.createProgressStream(total, onProgress))
+      .pipe(this.createEncryptStream(encryptionKey, { ...metadata, filename }));
+    
+    // Errors of the source do not travel down pipe(), so forward them to the upload
+    input.on('error', error => encrypted.destroy(error));
+    
+    console.log(`Streaming encrypted upload of ${filename || 'stream'}${total !== null ? ` (${total} bytes)` : ''}`);
+    
+    return this.uploadToIpfs(encrypted, {
+      filename: `${filename || 'data'}.eacc`,
+      contentType: 'application/octet-stream',
+      encrypted: true
+    }, ipfs);
+  }
+
+  /**
+   * Download and decrypt chunked data to a file without holding it in memory
+   * The file is removed again if the data fails authentication
+   * @param {string} cid - IPFS CID
+   * @param {string} decryptionKey - Session key (hex string)
+   * @param {string} filePath - Path to write the plaintext to
+   * @param {Object} [ipfs] - IPFS settings of the network (default: the global IPFS settings)
+   * @param {Function} [onProgress] - Called with {bytes, total} as data is received; total is null if unknown
+   * @returns {Object} - {envelope, size, sha256}: header, plaintext size and 0x-prefixed SHA-256 of the plaintext
+   */
+  async downloadFromIpfs(cid, decryptionKey, filePath, ipfs = config.ipfs, onProgress = null) {
+    const { stream, total } = await this.fetchStreamFromIpfs(cid, ipfs);
+    const decrypt = this.createDecryptStream(decryptionKey);
+    const hash = createHash('sha256');
+    let size = 0;
+    
+    const measure = new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        size += chunk.length;
+        callback(null, chunk);
+      }
+    });
+    
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+    
+    try {
+      await pipeline(stream, this.createProgressStream(total, onProgress), decrypt, measure, fs.createWriteStream(filePath));
+    } catch (error) {
+      fs.rmSync(filePath, { force: true });
+      throw new Error(`Failed to download ${cid}: ${error.message}`);
+    }
+    
+    return { envelope: decrypt.header, size, sha256: '0x' + hash.digest('hex') };
+  }
+
+  /**
+   * Create a pass-through stream reporting the bytes that went through it
+   * @param {number|null} total - Expected number of bytes, if known
+   * @param {Function|null} onProgress - Called with {bytes, total}
+   * @returns {Transform} - Pass-through stream
+   * @private
+   */
+  createProgressStream(total, onProgress) {
+    let bytes = 0;
+    
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        bytes += chunk.length;
+        
+        if (onProgress) {
+          try {
+            onProgress({ bytes, total });
+          } catch (error) {
+            console.error('Error in progress callback:', error);
+          }
+        }
+        
+        callback(null, chunk);
+      }
+    });
+  }
+
+  /**
+   * Publish a local file (e.g. an avatar image) to IPFS without encryption
+   * @param {string} filePath - Path of the file
+   * @param {Object} [ipfs] - IPFS settings of the network (default: the global IPFS settings)
+   * @returns {Object} - IPFS hash and other metadata
+   */
+  async publishFileToIpfs(filePath, ipfs = config.ipfs) {
+    const extension = path.extname(filePath).toLowerCase();
+    const contentTypes = {
+      '.png': 'image/png',
+      '.jpg': 'image/jpeg',
+      '.jpeg': 'image/jpeg',
+      '.gif': 'image/gif',
+      '.webp': 'image/webp',
+      '.svg': 'image/svg+xml'
+    };
+    
+    console.log(`Publishing file ${filePath} to IPFS...`);
+    return this.uploadToIpfs(fs.readFileSync(filePath), {
+      filename: path.basename(filePath),
+      contentType: contentTypes[extension] || 'application/octet-stream',
+      encrypted: false
+    }, ipfs);
+  }
+
+  /**
+   * Upload data to Pinata, or to the local/fake store when running offline or in dry-run mode
+   * Streams are sent to Pinata as they are read
+   * @param {Buffer|stream.Readable} data - Data to upload
+   * @param {Object} options - Upload options
+   * @param {string} options.filename - File name
+   * @param {string} options.contentType - MIME type
+   * @param {boolean} options.encrypted - Whether the data is encrypted (recorded in the pin metadata)
+   * @param {boolean} [options.test] - Whether this is a test upload (recorded in the pin metadata)
+   * @param {Object} ipfs - IPFS settings ({apiUrl, apiKey, apiSecret, gatewayUrl})
+   * @returns {Object} - IPFS hash and other metadata
+   * @private
+   */
+  async uploadToIpfs(data, { filename, contentType, encrypted, test = false }, ipfs) {
+    const isStream = data instanceof Readable;
+    
+    if (config.fakeMarketplace) {
+      // The fake IPFS is in memory anyway
+      const { hash, size } = fakeMarketplace.addToIpfs(isStream ? await this.readStream(data) : data);
+      return { hash, size, url: `fake-ipfs://${hash}`, encrypted };
+    }
+    
+    if (config.dryRun) {
+      return isStream
+        ? this.publishStreamToLocalStore(data, encrypted)
+        : this.publishToLocalStore(data, encrypted);
     }
     
     try {
       // For Pinata, we need to use their pinning API
-      const url = `${config.ipfsApiUrl}/pinning/pinFileToIPFS`;
+      const url = `${ipfs.apiUrl}/pinning/pinFileToIPFS`;
       
       const form = new FormData();
       
       // Add the file to the form
-      form.append('file', Buffer.from(dataToUpload), {
-        filename: 'data.txt',
-        contentType: 'text/plain',
+      form.append('file', data, {
+        filename,
+        contentType,
       });
       
+      // Request a CIDv0 so the digest fits the on-chain bytes32 (see cidToHash)
+      form.append('pinataOptions', JSON.stringify({ cidVersion: 0 }));
+      
       // Add metadata - FIXED: Using strings instead of boolean/objects
       const metadata = JSON.stringify({
-        name: `eacc-data-${Date.now()}`,
+        name: `eacc-${test ? 'test' : 'data'}-${Date.now()}`,
         keyvalues: {
-          encrypted: encryptionKey ? "true" : "false", // String instead of boolean
+          encrypted: encrypted ? "true" : "false", // String instead of boolean
+          ...(test && { test: "true" }),
           timestamp: Date.now().toString() // String instead of number
         }
       });
@@ -187,10 +584,11 @@ class Encryption {
       // Set request options
       const response = await axios.post(url, form, {
         maxBodyLength: Infinity, // Required for large files
+        maxContentLength: Infinity,
         headers: {
           'Content-Type': `multipart/form-data; boundary=${form._boundary}`,
-          'pinata_api_key': config.ipfsApiKey,
-          'pinata_secret_api_key': config.ipfsApiSecret
+          'pinata_api_key': ipfs.apiKey,
+          'pinata_secret_api_key': ipfs.apiSecret
         }
       });
       
@@ -199,8 +597,8 @@ class Encryption {
       return {
         hash: response.data.IpfsHash,
         size: response.data.PinSize,
-        url: `${config.ipfsGatewayUrl}${response.data.IpfsHash}`,
-        encrypted: !!encryptionKey
+        url: `${ipfs.gatewayUrl}${response.data.IpfsHash}`,
+        encrypted
       };
     } catch (error) {
       console.error('Error publishing to IPFS via Pinata:', error.response?.data || error.message);
@@ -209,94 +607,191 @@ class Encryption {
   }
 
   /**
-   * Publish plaintext (unencrypted) data to IPFS for testing
-   * @param {string} content - Content to publish
-   * @returns {Object} - IPFS hash and other metadata
+   * Store data in the local directory used instead of IPFS in dry-run mode
+   * The CID is a CIDv0 of the raw sha2-256 digest, so it round-trips through cidToHash
+   * but does not match what an IPFS node would compute for the same file
+   * @param {string|Buffer} data - Data to store
+   * @param {boolean} encrypted - Whether the data is encrypted
+   * @returns {Object} - Local hash and other metadata
+   */
+  publishToLocalStore(data, encrypted) {
+    const buffer = Buffer.from(data);
+    const digest = createHash('sha256').update(buffer).digest();
+    const hash = bs58.encode(multihash.encode(digest, 'sha2-256'));
+    const filePath = this.getLocalStorePath(hash);
+    
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, buffer);
+    console.log(`[dry run] Stored ${buffer.length} bytes locally as ${hash}`);
+    
+    return {
+      hash,
+      size: buffer.length,
+      url: `file://${filePath}`,
+      encrypted
+    };
+  }
+
+  /**
+   * Store a stream in the local directory used instead of IPFS in dry-run mode
+   * The data is hashed while it is written to a temporary file, then moved to its CID
+   * @param {stream.Readable} stream - Data to store
+   * @param {boolean} encrypted - Whether the data is encrypted
+   * @returns {Object} - Local hash and other metadata
+   * @private
    */
-  async publishPlaintextToIpfs(content) {
+  async publishStreamToLocalStore(stream, encrypted) {
+    const tempPath = this.getLocalStorePath(`.upload-${process.pid}-${Date.now()}`);
+    const hasher = createHash('sha256');
+    let size = 0;
+    
+    fs.mkdirSync(path.dirname(tempPath), { recursive: true });
+    
     try {
-      console.log('PUBLISHING PLAINTEXT TO IPFS (FOR TESTING ONLY):');
-      console.log(content);
-      
-      // Mark the content as a test message
-      const testContent = `TEST_MESSAGE_PLAINTEXT: ${content}`;
-      
-      // For Pinata, we need to use their pinning API
-      const url = `${config.ipfsApiUrl}/pinning/pinFileToIPFS`;
-      
-      const form = new FormData();
-      
-      // Add the file to the form
-      form.append('file', Buffer.from(testContent), {
-        filename: 'data.txt',
-        contentType: 'text/plain',
-      });
-      
-      // Add metadata
-      const metadata = JSON.stringify({
-        name: `eacc-test-${Date.now()}`,
-        keyvalues: {
-          encrypted: "false",
-          test: "true",
-          timestamp: Date.now().toString()
-        }
-      });
-      form.append('pinataMetadata', metadata);
-      
-      // Set request options
-      const response = await axios.post(url, form, {
-        maxBodyLength: Infinity,
-        headers: {
-          'Content-Type': `multipart/form-data; boundary=${form._boundary}`,
-          'pinata_api_key': config.ipfsApiKey,
-          'pinata_secret_api_key': config.ipfsApiSecret
+      await pipeline(stream, new Transform({
+        transform(chunk, encoding, callback) {
+          hasher.update(chunk);
+          size += chunk.length;
+          callback(null, chunk);
         }
-      });
-      
-      console.log('Pinata upload response:', response.data);
-      
-      return {
-        hash: response.data.IpfsHash,
-        size: response.data.PinSize,
-        url: `${config.ipfsGatewayUrl}${response.data.IpfsHash}`,
-        encrypted: false
-      };
+      }), fs.createWriteStream(tempPath));
     } catch (error) {
-      console.error('Error publishing plaintext to IPFS via Pinata:', error.response?.data || error.message);
-      throw new Error(`Failed to publish to IPFS: ${error.response?.data?.error || error.message}`);
+      fs.rmSync(tempPath, { force: true });
+      throw error;
     }
+    
+    const hash = bs58.encode(multihash.encode(hasher.digest(), 'sha2-256'));
+    const filePath = this.getLocalStorePath(hash);
+    fs.renameSync(tempPath, filePath);
+    console.log(`[dry run] Stored ${size} bytes locally as ${hash}`);
+    
+    return {
+      hash,
+      size,
+      url: `file://${filePath}`,
+      encrypted
+    };
+  }
+
+  /**
+   * Get the path of a CID in the local store
+   * @param {string} cid - CID
+   * @returns {string} - File path
+   * @private
+   */
+  getLocalStorePath(cid) {
+    return path.join(config.dataDir, 'ipfs', cid);
+  }
+
+  /**
+   * Publish plaintext (unencrypted) data to IPFS for testing
+   * Goes through the same upload path as everything else, so offline and dry runs stay local
+   * @param {string} content - Content to publish
+   * @param {Object} [ipfs] - IPFS settings of the network (default: the global IPFS settings)
+   * @returns {Object} - IPFS hash and other metadata
+   */
+  async publishPlaintextToIpfs(content, ipfs = config.ipfs) {
+    console.log('PUBLISHING PLAINTEXT TO IPFS (FOR TESTING ONLY):');
+    console.log(content);
+    
+    // Mark the content as a test message
+    const testContent = `TEST_MESSAGE_PLAINTEXT: ${content}`;
+    
+    return this.uploadToIpfs(Buffer.from(testContent), {
+      filename: 'data.txt',
+      contentType: 'text/plain',
+      encrypted: false,
+      test: true
+    }, ipfs);
   }
 
   /**
    * Retrieve content from IPFS
    * @param {string} cid - IPFS CID
    * @param {string} [decryptionKey] - Optional decryption key
+   * @param {Object} [ipfs] - IPFS settings of the network (default: the global IPFS settings)
    * @returns {string} - Retrieved content
    */
-  async getFromIpfs(cid, decryptionKey = null) {
-    // Try each gateway in sequence until we get a successful response
+  async getFromIpfs(cid, decryptionKey = null, ipfs = config.ipfs) {
+    const data = await this.fetchFromIpfs(cid, ipfs);
+    
+    return decryptionKey
+      ? this.openEnvelope(data, decryptionKey).content
+      : data.toString('utf8');
+  }
+
+  /**
+   * Retrieve and decrypt an envelope from IPFS, keeping binary content intact
+   * @param {string} cid - IPFS CID
+   * @param {string} decryptionKey - Session key (hex string)
+   * @param {Object} [ipfs] - IPFS settings of the network (default: the global IPFS settings)
+   * @returns {Object} - {content, data, envelope} (see openEnvelope)
+   */
+  async getEnvelopeFromIpfs(cid, decryptionKey, ipfs = config.ipfs) {
+    return this.openEnvelope(await this.fetchFromIpfs(cid, ipfs), decryptionKey);
+  }
+
+  /**
+   * Fetch the raw bytes of a CID
+   * @param {string} cid - IPFS CID
+   * @param {Object} ipfs - IPFS settings ({gateways})
+   * @returns {Buffer} - Data
+   * @private
+   */
+  async fetchFromIpfs(cid, ipfs) {
+    const { stream } = await this.fetchStreamFromIpfs(cid, ipfs);
+    return this.readStream(stream);
+  }
+
+  /**
+   * Open a stream of the raw bytes of a CID
+   * Content published offline or in dry-run mode only exists locally, everything else comes from the gateways.
+   * Gateways get IPFS_CONNECT_TIMEOUT to respond and may then pause up to IPFS_IDLE_TIMEOUT between chunks,
+   * so large downloads are not cut off by a fixed request timeout
+   * @param {string} cid - IPFS CID
+   * @param {Object} ipfs - IPFS settings ({gateways})
+   * @returns {Object} - {stream, total}: readable stream and its size in bytes (null if unknown)
+   * @private
+   */
+  async fetchStreamFromIpfs(cid, ipfs) {
+    const localPath = this.getLocalStorePath(cid);
+    
+    if (config.fakeMarketplace) {
+      const data = fakeMarketplace.getFromIpfs(cid);
+      return { stream: Readable.from([data]), total: data.length };
+    }
+    
+    if (config.dryRun && fs.existsSync(localPath)) {
+      return { stream: fs.createReadStream(localPath), total: fs.statSync(localPath).size };
+    }
+    
+    // Try each gateway in sequence until one starts responding
     let lastError = null;
     
-    for (const gateway of config.ipfsGateways) {
+    for (const gateway of ipfs.gateways) {
+      const controller = new AbortController();
+      const connectTimer = setTimeout(() => controller.abort(), config.ipfsConnectTimeout);
+      
       try {
         const url = `${gateway}${cid}`;
         console.log(`Trying to fetch from IPFS gateway: ${url}`);
         
-        const response = await axios.get(url, { 
-          timeout: 10000 // 10-second timeout
+        const response = await axios.get(url, {
+          responseType: 'stream',
+          signal: controller.signal,
+          maxContentLength: Infinity
         });
+        clearTimeout(connectTimer);
         
-        let content = response.data;
+        console.log(`Streaming content from ${gateway}`);
+        const length = parseInt(response.headers['content-length'], 10);
         
-        // Decrypt if decryptionKey is provided
-        if (decryptionKey) {
-          const encryptedData = Buffer.from(content, 'base64');
-          content = this.decryptToUtf8(encryptedData, decryptionKey);
-        }
-        
-        console.log(`Successfully retrieved content from ${gateway}`);
-        return content;
+        return {
+          stream: this.watchIdleStream(response.data, config.ipfsIdleTimeout),
+          total: Number.isNaN(length) ? null : length
+        };
       } catch (error) {
+        clearTimeout(connectTimer);
         lastError = error;
         console.log(`Failed to retrieve from ${gateway}: ${error.message}`);
         // Continue to the next gateway
@@ -307,6 +802,81 @@ class Encryption {
     throw new Error(`Failed to retrieve from all IPFS gateways: ${lastError.message}`);
   }
 
+  /**
+   * Fail a download that stops delivering data
+   * @param {stream.Readable} stream - Download stream
+   * @param {number} timeout - Maximum pause between chunks in milliseconds
+   * @returns {stream.Readable} - Stream of the same data
+   * @private
+   */
+  watchIdleStream(stream, timeout) {
+    let timer = null;
+    
+    const watched = new Transform({
+      transform(chunk, encoding, callback) {
+        reset();
+        callback(null, chunk);
+      }
+    });
+    
+    const reset = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const error = new Error(`IPFS download stalled for ${timeout}ms`);
+        stream.destroy(error);
+        watched.destroy(error);
+      }, timeout);
+    };
+    
+    // Errors of the source do not travel down pipe()
+    stream.on('error', error => watched.destroy(error));
+    watched.once('close', () => clearTimeout(timer));
+    reset();
+    
+    return stream.pipe(watched);
+  }
+
+  /**
+   * Read a stream into memory
+   * @param {stream.Readable} stream - Stream
+   * @returns {Buffer} - Data
+   * @private
+   */
+  async readStream(stream) {
+    const chunks = [];
+    
+    for await (const chunk of stream) {
+      chunks.push(Buffer.from(chunk));
+    }
+    
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Convert an IPFS CIDv0 to the bytes32 hash stored on-chain
+   * This is the inverse of hashToCid: the sha2-256 digest of the CID's multihash
+   * @param {string} cid - IPFS CIDv0 (base58, starting with Qm)
+   * @returns {string} - Digest as a 0x-prefixed bytes32 hex string
+   */
+  cidToHash(cid) {
+    try {
+      if (!cid.startsWith('Qm')) {
+        throw new Error(`Only CIDv0 is supported, got ${cid}`);
+      }
+      
+      const { name, digest } = multihash.decode(bs58.decode(cid));
+      
+      if (name !== 'sha2-256' || digest.length !== 32) {
+        throw new Error(`Unexpected multihash ${name} with ${digest.length} byte digest`);
+      }
+      
+      return ethers.hexlify(digest);
+    } catch (error) {
+      console.error('Error converting CID to hash:', error.message);
+      throw new Error(`Failed to convert CID to hash: ${error.message}`);
+    }
+  }
+
   /**
    * Convert a hash to IPFS CID
    * @param {string} hash - Hash in hex format
@@ -339,4 +909,5 @@ class Encryption {
 
 // Create and export a singleton instance
 const encryption = new Encryption();
-module.exports = encryption;
\ No newline at end of file
+module.exports = encryption;
+module.exports.ENCRYPTION_KEY_MESSAGE = ENCRYPTION_KEY_MESSAGE;
\ No newline at end of file
@@ -0,0 +1,340 @@
+// src/encryption/stream.js
+const { Transform } = require('stream');
+const { createCipheriv, createDecipheriv, randomBytes } = require('crypto');
+
+// Chunked encryption format for payloads too large to hold in memory:
+// magic (8 bytes) | header length (uint32 BE) | header JSON | chunks of AES-256-GCM ciphertext and 16-byte tag
+// Chunk nonces are the header's random prefix, the chunk index and a last-chunk flag; the header is the AAD of every chunk
+const STREAM_MAGIC = Buffer.from('EACCSTRM');
+const STREAM_VERSION = 1;
+const STREAM_ALGORITHM = 'aes-256-gcm-chunked';
+const TAG_LENGTH = 16;
+const NONCE_PREFIX_LENGTH = 7;
+const MAX_HEADER_LENGTH = 64 * 1024;
+const MAX_CHUNKS = 2 ** 32;
+
+/**
+ * Check whether data starts with the chunked format magic
+ * @param {Buffer} data - Data or its first bytes
+ * @returns {boolean} - True for the chunked format
+ */
+function isChunked(data) {
+  return Buffer.isBuffer(data) && data.length >= STREAM_MAGIC.length &&
+    data.subarray(0, STREAM_MAGIC.length).equals(STREAM_MAGIC);
+}
+
+/**
+ * Parse the header at the start of chunked data
+ * @param {Buffer} data - Data received so far
+ * @returns {Object|null} - {header, headerBytes, offset}, or null if more data is needed
+ * @throws {Error} if the data is not in the chunked format
+ */
+function parseHeader(data) {
+  const prefixLength = STREAM_MAGIC.length + 4;
+  
+  if (data.length < prefixLength) {
+    return null;
+  }
+  
+  if (!isChunked(data)) {
+    throw new Error('Data is not in the chunked encryption format');
+  }
+  
+  const headerLength = data.readUInt32BE(STREAM_MAGIC.length);
+  
+  if (headerLength > MAX_HEADER_LENGTH) {
+    throw new Error(`Chunked header too large (${headerLength} bytes)`);
+  }
+  
+  if (data.length < prefixLength + headerLength) {
+    return null;
+  }
+  
+  const headerBytes = data.subarray(prefixLength, prefixLength + headerLength);
+  const header = JSON.parse(headerBytes.toString('utf8'));
+  
+  if (header.version > STREAM_VERSION) {
+    throw new Error(`Unsupported chunked format version ${header.version}`);
+  }
+  
+  if (header.algorithm !== STREAM_ALGORITHM) {
+    throw new Error(`Unsupported chunked format algorithm ${header.algorithm}`);
+  }
+  
+  if (!Number.isInteger(header.chunkSize) || header.chunkSize <= 0) {
+    throw new Error(`Invalid chunk size ${header.chunkSize}`);
+  }
+  
+  return { header, headerBytes, offset: prefixLength + headerLength };
+}
+
+/**
+ * Build the nonce of a chunk
+ * @param {Buffer} noncePrefix - Random prefix from the header
+ * @param {number} index - Chunk index
+ * @param {boolean} last - Whether this is the last chunk
+ * @returns {Buffer} - 12-byte nonce
+ */
+function chunkNonce(noncePrefix, index, last) {
+  if (index >= MAX_CHUNKS) {
+    throw new Error('Too many chunks');
+  }
+  
+  const nonce = Buffer.alloc(12);
+  noncePrefix.copy(nonce, 0);
+  nonce.writeUInt32BE(index, NONCE_PREFIX_LENGTH);
+  nonce[11] = last ? 1 : 0;
+  
+  return nonce;
+}
+
+/**
+ * Encrypt one chunk
+ * @param {Object} stream - {key, noncePrefix, headerBytes} of the stream
+ * @param {number} index - Chunk index
+ * @param {Buffer} plaintext - Chunk plaintext
+ * @param {boolean} last - Whether this is the last chunk
+ * @returns {Buffer} - Ciphertext and tag
+ */
+function sealChunk({ key, noncePrefix, headerBytes }, index, plaintext, last) {
+  const cipher = createCipheriv('aes-256-gcm', key, chunkNonce(noncePrefix, index, last));
+  cipher.setAAD(headerBytes);
+  
+  return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+/**
+ * Decrypt and authenticate one chunk
+ * @param {Object} stream - {key, noncePrefix, headerBytes} of the stream
+ * @param {number} index - Chunk index
+ * @param {Buffer} record - Ciphertext and tag
+ * @param {boolean} last - Whether this is the last chunk
+ * @returns {Buffer} - Chunk plaintext
+ */
+function openChunk({ key, noncePrefix, headerBytes }, index, record, last) {
+  if (record.length < TAG_LENGTH) {
+    throw new Error('Chunked data is truncated');
+  }
+  
+  const decipher = createDecipheriv('aes-256-gcm', key, chunkNonce(noncePrefix, index, last));
+  decipher.setAAD(headerBytes);
+  decipher.setAuthTag(record.subarray(record.length - TAG_LENGTH));
+  
+  return Buffer.concat([decipher.update(record.subarray(0, record.length - TAG_LENGTH)), decipher.final()]);
+}
+
+/**
+ * Transform stream encrypting plaintext into the chunked format
+ */
+class EncryptStream extends Transform {
+  /**
+   * Constructor
+   * @param {string} key - Encryption key (hex string)
+   * @param {Object} metadata - Header fields ({sender, recipient, jobId, contentType, filename})
+   * @param {number} chunkSize - Plaintext bytes per chunk
+   */
+  constructor(key, metadata, chunkSize) {
+    super();
+    this.key = Buffer.from(key.slice(0, 64), 'hex');
+    this.chunkSize = chunkSize;
+    this.noncePrefix = randomBytes(NONCE_PREFIX_LENGTH);
+    this.index = 0;
+    this.pending = Buffer.alloc(0); // Plaintext not sealed yet, the last chunk is held back until the end
+    
+    this.header = {
+      version: STREAM_VERSION,
+      algorithm: STREAM_ALGORITHM,
+      ...metadata,
+      chunkSize,
+      noncePrefix: this.noncePrefix.toString('base64')
+    };
+    this.headerBytes = Buffer.from(JSON.stringify(this.header));
+    
+    const headerLength = Buffer.alloc(4);
+    headerLength.writeUInt32BE(this.headerBytes.length);
+    this.push(Buffer.concat([STREAM_MAGIC, headerLength, this.headerBytes]));
+  }
+
+  /**
+   * Seal every complete chunk except the last one
+   * @param {Buffer} data - Data written to the stream
+   * @param {string} encoding - Ignored, data is always a Buffer
+   * @param {Function} callback - Called once the data is processed
+   * @private
+   */
+  _transform(data, encoding, callback) {
+    try {
+      this.pending = Buffer.concat([this.pending, data]);
+      
+      // Only seal a chunk once more data follows it, so the last chunk can be flagged
+      while (this.pending.length > this.chunkSize) {
+        this.push(this.seal(this.pending.subarray(0, this.chunkSize), false));
+        this.pending = this.pending.subarray(this.chunkSize);
+      }
+      
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  /**
+   * Seal the last chunk (possibly empty)
+   * @param {Function} callback - Called once the stream is finished
+   * @private
+   */
+  _flush(callback) {
+    try {
+      this.push(this.seal(this.pending, true));
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  /**
+   * Encrypt the next chunk
+   * @param {Buffer} plaintext - Chunk plaintext
+   * @param {boolean} last - Whether this is the last chunk
+   * @returns {Buffer} - Ciphertext and tag
+   * @private
+   */
+  seal(plaintext, last) {
+    return sealChunk(this, this.index++, plaintext, last);
+  }
+}
+
+/**
+ * Transform stream decrypting the chunked format back to plaintext
+ * Emits 'header' with the parsed header before the first plaintext
+ */
+class DecryptStream extends Transform {
+  /**
+   * Constructor
+   * @param {string} key - Decryption key (hex string)
+   */
+  constructor(key) {
+    super();
+    this.key = Buffer.from(key.slice(0, 64), 'hex');
+    this.header = null;
+    this.headerBytes = null;
+    this.noncePrefix = null;
+    this.index = 0;
+    this.pending = Buffer.alloc(0);
+  }
+
+  /**
+   * Parse the header, then open every complete chunk except the last one
+   * @param {Buffer} data - Data written to the stream
+   * @param {string} encoding - Ignored, data is always a Buffer
+   * @param {Function} callback - Called once the data is processed
+   * @private
+   */
+  _transform(data, encoding, callback) {
+    try {
+      this.pending = Buffer.concat([this.pending, data]);
+      
+      if (!this.header && !this.readHeader()) {
+        return callback();
+      }
+      
+      const recordLength = this.header.chunkSize + TAG_LENGTH;
+      
+      // A full record is only known not to be the last one once more data follows it
+      while (this.pending.length > recordLength) {
+        this.push(this.open(this.pending.subarray(0, recordLength), false));
+        this.pending = this.pending.subarray(recordLength);
+      }
+      
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  /**
+   * Open the last chunk
+   * @param {Function} callback - Called once the stream is finished
+   * @private
+   */
+  _flush(callback) {
+    try {
+      if (!this.header) {
+        throw new Error('Chunked data ended before its header');
+      }
+      
+      this.push(this.open(this.pending, true));
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  /**
+   * Parse the header once enough data has arrived
+   * @returns {boolean} - True if the header was parsed
+   * @private
+   */
+  readHeader() {
+    const parsed = parseHeader(this.pending);
+    
+    if (!parsed) {
+      return false;
+    }
+    
+    this.header = parsed.header;
+    this.headerBytes = Buffer.from(parsed.headerBytes);
+    this.noncePrefix = Buffer.from(this.header.noncePrefix, 'base64');
+    this.pending = this.pending.subarray(parsed.offset);
+    this.emit('header', this.header);
+    
+    return true;
+  }
+
+  /**
+   * Decrypt and authenticate the next chunk
+   * @param {Buffer} record - Ciphertext and tag
+   * @param {boolean} last - Whether this is the last chunk
+   * @returns {Buffer} - Chunk plaintext
+   * @private
+   */
+  open(record, last) {
+    return openChunk(this, this.index++, record, last);
+  }
+}
+
+/**
+ * Decrypt chunked data that is already in memory
+ * @param {Buffer} data - Chunked data
+ * @param {string} key - Decryption key (hex string)
+ * @returns {Object} - {header, data}: parsed header and plaintext
+ */
+function decryptChunked(data, key) {
+  const parsed = parseHeader(data);
+  
+  if (!parsed) {
+    throw new Error('Chunked data ended before its header');
+  }
+  
+  const { header, headerBytes, offset } = parsed;
+  const stream = {
+    key: Buffer.from(key.slice(0, 64), 'hex'),
+    noncePrefix: Buffer.from(header.noncePrefix, 'base64'),
+    headerBytes
+  };
+  const recordLength = header.chunkSize + TAG_LENGTH;
+  const parts = [];
+  let position = offset;
+  let index = 0;
+  
+  while (data.length - position > recordLength) {
+    parts.push(openChunk(stream, index++, data.subarray(position, position + recordLength), false));
+    position += recordLength;
+  }
+  
+  parts.push(openChunk(stream, index, data.subarray(position), true));
+  
+  return { header, data: Buffer.concat(parts) };
+}
+
+module.exports = { EncryptStream, DecryptStream, decryptChunked, isChunked, STREAM_ALGORITHM };
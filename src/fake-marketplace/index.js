@@ -0,0 +1,563 @@
+// src/fake-marketplace/index.js
+const fs = require('fs');
+const { createHash } = require('crypto');
+const { ethers } = require('ethers');
+const bs58 = require('bs58');
+const multihash = require('multihashes');
+const config = require('../config');
+const { JobState, JobEventType } = require('../job');
+
+/**
+ * Contract stand-in exposing the call surface the connector uses
+ * Views are plain async methods; writes go through `execute` so the
+ * transaction manager can run (or simulate) them without an RPC
+ */
+class FakeContract {
+  /**
+   * Constructor
+   * @param {FakeMarketplace} marketplace - Shared fake marketplace state
+   * @param {Object} views - Map of view name to function
+   * @param {Object} writes - Map of write name to validator returning the state change
+   */
+  constructor(marketplace, views, writes) {
+    this.fake = marketplace;
+    this.writes = writes;
+
+    for (const [name, view] of Object.entries(views)) {
+      this[name] = async (...args) => view(...args);
+    }
+  }
+
+  /**
+   * Execute a write as the agent wallet
+   * @param {string} method - Method name
+   * @param {Array} args - Method arguments
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.simulate] - Only validate, do not change state
+   * @returns {Object} - Receipt-like object
+   * @throws {Error} if the call would revert
+   */
+  async execute(method, args, options = {}) {
+    const write = this.writes[method];
+    if (!write) {
+      throw new Error(`Fake marketplace does not implement ${method}`);
+    }
+
+    // Validators throw like a revert and return the state change to apply
+    const apply = write(this.fake.wallet.address, ...args);
+
+    if (options.simulate) {
+      return { dryRun: true, status: 1, hash: null, gasEstimate: 0n };
+    }
+
+    apply();
+    return this.fake.mine();
+  }
+
+  /**
+   * Subscribe to contract events
+   * @param {string} eventName - Event name
+   * @param {Function} listener - Listener (jobId, eventData, payload)
+   */
+  async on(eventName, listener) {
+    this.fake.addListener(eventName, listener);
+  }
+
+  /**
+   * Unsubscribe from contract events
+   * @param {string} eventName - Event name
+   * @param {Function} listener - Listener
+   */
+  async off(eventName, listener) {
+    this.fake.removeListener(eventName, listener);
+  }
+
+  /**
+   * Query past events
+   * @param {string} eventName - Event name
+   * @param {number} fromBlock - First block
+   * @param {number} toBlock - Last block
+   * @returns {Array<Object>} - Events ({blockNumber, args})
+   */
+  async queryFilter(eventName, fromBlock, toBlock) {
+    return this.fake.logs.filter(log =>
+      log.eventName === eventName && log.blockNumber >= fromBlock && log.blockNumber <= toBlock
+    );
+  }
+}
+
+/**
+ * In-process stand-in for MarketplaceV1, MarketplaceDataV1 and IPFS
+ * Lets the whole apply -> take -> execute -> deliver flow run without a network
+ */
+class FakeMarketplace {
+  constructor() {
+    this.wallet = null;
+    this.initialized = false;
+    this.reset();
+  }
+
+  /**
+   * Clear all state
+   */
+  reset() {
+    this.blockNumber = 0;
+    this.users = new Map(); // Map of lowercase address to user
+    this.jobs = [];
+    this.threads = new Map(); // Map of job ID to thread messages
+    this.jobEvents = new Map(); // Map of job ID to job events
+    this.logs = [];
+    this.listeners = new Map(); // Map of event name to listeners
+    this.ipfs = new Map(); // Map of CID to stored data
+    this.tokens = new Map(); // Map of lowercase token address to {symbol, decimals}
+
+    this.provider = {
+      getBlockNumber: async () => this.blockNumber
+    };
+
+    this.marketplace = new FakeContract(this, {
+      jobsLength: () => BigInt(this.jobs.length),
+      whitelistWorkers: (jobId, worker) => this.requireJob(jobId).whitelist.has(worker.toLowerCase()),
+      getJob: jobId => this.encodeJob(this.requireJob(jobId))
+    }, {
+      postThreadMessage: (sender, jobId, contentHash, recipient) => this.postThreadMessage(sender, jobId, contentHash, recipient),
+      takeJob: (sender, jobId, signature) => this.takeJob(sender, jobId, signature),
+      deliverResult: (sender, jobId, resultHash) => this.deliverResult(sender, jobId, resultHash)
+    });
+
+    this.marketplaceData = new FakeContract(this, {
+      users: address => {
+        const user = this.users.get(address.toLowerCase());
+        return user
+          ? [user.address, user.publicKey, user.name, user.bio, user.avatar, user.reputationUp, user.reputationDown]
+          : [ethers.ZeroAddress, '0x', '', '', '', 0, 0];
+      },
+      userRegistered: address => this.users.has(address.toLowerCase()),
+      publicKeys: address => this.users.get(address.toLowerCase())?.publicKey || '0x',
+      eventsLength: jobId => BigInt((this.jobEvents.get(Number(jobId)) || []).length),
+      getEvents: (jobId, index, limit) => (this.jobEvents.get(Number(jobId)) || [])
+        .slice(Number(index), Number(index) + Number(limit)),
+      getThreadMessages: jobId => this.threads.get(Number(jobId)) || []
+    }, {
+      registerUser: (sender, publicKey, name, bio, avatar) => this.registerUser(sender, publicKey, name, bio, avatar),
+      updateUser: (sender, name, bio, avatar) => this.updateUser(sender, name, bio, avatar),
+      // onlyMarketplace on chain: events are emitted by the marketplace itself, never by users
+      publishJobEvent: () => {
+        throw new Error('only marketplace');
+      }
+    });
+  }
+
+  /**
+   * Initialize the fake marketplace for the agent wallet
+   * Seeds jobs from FAKE_MARKETPLACE_SEED, or a sample job if none is configured
+   * @param {ethers.AbstractSigner} wallet - Agent signer (acts as msg.sender for writes)
+   */
+  initialize(wallet) {
+    if (this.initialized) return;
+
+    this.wallet = wallet;
+
+    const seed = config.fakeMarketplaceSeed
+      ? JSON.parse(fs.readFileSync(config.fakeMarketplaceSeed, 'utf8'))
+      : { jobs: [FakeMarketplace.sampleJob()] };
+
+    for (const [address, token] of Object.entries(seed.tokens || {})) {
+      this.tokens.set(address.toLowerCase(), token);
+    }
+
+    for (const jobFields of seed.jobs || []) {
+      this.createJob(jobFields);
+    }
+
+    console.log(`Fake marketplace initialized with ${this.jobs.length} jobs`);
+    this.initialized = true;
+  }
+
+  /**
+   * Sample job used when no seed file is configured
+   * @returns {Object} - Job fields
+   */
+  static sampleJob() {
+    return {
+      title: 'Discord bot for community moderation',
+      tags: ['discord', 'bot'],
+      content: 'Looking for a Discord bot with slash commands, moderation (ban, kick, mute) and reaction roles.',
+      amount: '20000000000000000',
+      maxTime: 3 * 24 * 60 * 60,
+      deliveryMethod: 'ipfs'
+    };
+  }
+
+  /**
+   * Create a job as a fake creator
+   * @param {Object} fields - Job fields (title, tags, content, amount, token, maxTime, multipleApplicants, ...)
+   * @param {ethers.Wallet} [creator] - Creator wallet (a random registered user by default)
+   * @returns {number} - Job ID
+   */
+  createJob(fields, creator = null) {
+    const creatorWallet = creator || this.createUser(`Creator ${this.jobs.length + 1}`);
+
+    // `arbitrator: true` creates a registered arbitrator for the job
+    const arbitrator = fields.arbitrator === true
+      ? this.createUser(`Arbitrator ${this.jobs.length + 1}`).address
+      : fields.arbitrator || ethers.ZeroAddress;
+
+    const job = {
+      state: JobState.Open,
+      whitelistWorkers: Boolean(fields.whitelistWorkers),
+      whitelist: new Set((fields.whitelist || []).map(address => address.toLowerCase())),
+      roles: [creatorWallet.address, arbitrator, ethers.ZeroAddress],
+      title: fields.title,
+      tags: fields.tags || [],
+      contentHash: fields.content ? this.addToIpfs(fields.content).digest : ethers.ZeroHash,
+      multipleApplicants: Boolean(fields.multipleApplicants),
+      amount: BigInt(fields.amount || 0),
+      token: fields.token || ethers.ZeroAddress,
+      timestamp: this.now(),
+      maxTime: fields.maxTime || 0,
+      deliveryMethod: fields.deliveryMethod || 'ipfs',
+      collateralOwed: BigInt(fields.collateralOwed || 0),
+      escrowId: BigInt(this.jobs.length + 1),
+      resultHash: ethers.ZeroHash,
+      rating: 0,
+      disputed: false
+    };
+
+    this.jobs.push(job);
+    const jobId = this.jobs.length - 1;
+
+    this.emitJobEvent(jobId, JobEventType.Created, creatorWallet.address, '0x');
+    this.mine();
+
+    return jobId;
+  }
+
+  /**
+   * Create and register a random user
+   * @param {string} name - User name
+   * @returns {ethers.Wallet} - User wallet
+   */
+  createUser(name) {
+    const wallet = ethers.Wallet.createRandom();
+    
+    // Register the encryption key the way the encryption module derives it, so session keys match
+    // (required here because the encryption module loads this one)
+    const { ENCRYPTION_KEY_MESSAGE } = require('../encryption');
+    const encryptionKey = new ethers.SigningKey(ethers.keccak256(wallet.signMessageSync(ENCRYPTION_KEY_MESSAGE)));
+    const publicKey = encryptionKey.compressedPublicKey;
+    this.registerUser(wallet.address, publicKey, name, '', '')();
+    return wallet;
+  }
+
+  /**
+   * Approve a delivered job as its creator and close it
+   * @param {number} jobId - Job ID
+   * @param {number} rating - Rating given to the worker
+   */
+  approveResult(jobId, rating = 5) {
+    const job = this.requireJob(jobId);
+    if (job.resultHash === ethers.ZeroHash) {
+      throw new Error(`Job ${jobId} has no result to approve`);
+    }
+
+    job.state = JobState.Closed;
+    job.rating = rating;
+    this.emitJobEvent(jobId, JobEventType.Completed, job.roles[0], '0x');
+    this.mine();
+  }
+
+  /**
+   * Raise a dispute on a taken job as its creator
+   * @param {number} jobId - Job ID
+   */
+  disputeJob(jobId) {
+    const job = this.requireJob(jobId);
+    if (job.state !== JobState.Taken) {
+      throw new Error(`Job ${jobId} is not taken`);
+    }
+
+    job.disputed = true;
+    this.emitJobEvent(jobId, JobEventType.Disputed, job.roles[0], '0x');
+    this.mine();
+  }
+
+  /**
+   * Settle a disputed job as its arbitrator and close it
+   * @param {number} jobId - Job ID
+   */
+  arbitrate(jobId) {
+    const job = this.requireJob(jobId);
+    if (!job.disputed || job.state !== JobState.Taken) {
+      throw new Error(`Job ${jobId} is not disputed`);
+    }
+
+    job.state = JobState.Closed;
+    this.emitJobEvent(jobId, JobEventType.Arbitrated, job.roles[1], '0x');
+    this.mine();
+  }
+
+  /**
+   * Validate registerUser
+   * @private
+   */
+  registerUser(sender, publicKey, name, bio, avatar) {
+    if (this.users.has(sender.toLowerCase())) {
+      throw new Error('already registered');
+    }
+
+    return () => {
+      this.users.set(sender.toLowerCase(), {
+        address: sender,
+        publicKey: ethers.hexlify(publicKey),
+        name,
+        bio,
+        avatar,
+        reputationUp: 0,
+        reputationDown: 0
+      });
+    };
+  }
+
+  /**
+   * Validate updateUser
+   * @private
+   */
+  updateUser(sender, name, bio, avatar) {
+    this.requireRegistered(sender);
+
+    return () => {
+      Object.assign(this.users.get(sender.toLowerCase()), { name, bio, avatar });
+    };
+  }
+
+  /**
+   * Validate postThreadMessage
+   * @private
+   */
+  postThreadMessage(sender, jobId, contentHash, recipient) {
+    const job = this.requireJob(jobId);
+    this.requireRegistered(sender);
+
+    const isOwner = sender.toLowerCase() === job.roles[0].toLowerCase();
+    if (!isOwner && job.state === JobState.Closed) {
+      throw new Error('job closed');
+    }
+
+    if (!isOwner && job.whitelistWorkers && !job.whitelist.has(sender.toLowerCase())) {
+      throw new Error('not whitelisted');
+    }
+
+    return () => {
+      const id = Number(jobId);
+      const thread = this.threads.get(id) || [];
+      thread.push({ contentHash, sender, recipient, timestamp: this.now() });
+      this.threads.set(id, thread);
+
+      const type = isOwner ? JobEventType.OwnerMessage : JobEventType.WorkerMessage;
+      this.emitJobEvent(id, type, sender, contentHash);
+    };
+  }
+
+  /**
+   * Validate takeJob
+   * @private
+   */
+  takeJob(sender, jobId, signature) {
+    const job = this.requireJob(jobId);
+    this.requireRegistered(sender);
+
+    if (job.state !== JobState.Open) throw new Error('not open');
+    if (job.multipleApplicants) throw new Error('multiple applicants');
+    if (job.whitelistWorkers && !job.whitelist.has(sender.toLowerCase())) throw new Error('not whitelisted');
+    if (sender.toLowerCase() === job.roles[0].toLowerCase()) throw new Error('creator cannot take job');
+
+    const revision = (this.jobEvents.get(Number(jobId)) || []).length;
+    const messageHash = ethers.keccak256(
+      ethers.AbiCoder.defaultAbiCoder().encode(['uint256', 'uint256'], [revision, jobId])
+    );
+
+    if (ethers.verifyMessage(ethers.getBytes(messageHash), signature).toLowerCase() !== sender.toLowerCase()) {
+      throw new Error('invalid signature');
+    }
+
+    return () => {
+      job.roles[2] = sender;
+      job.state = JobState.Taken;
+      job.timestamp = this.now();
+      this.emitJobEvent(jobId, JobEventType.Taken, sender, '0x');
+    };
+  }
+
+  /**
+   * Validate deliverResult
+   * @private
+   */
+  deliverResult(sender, jobId, resultHash) {
+    const job = this.requireJob(jobId);
+
+    if (job.state !== JobState.Taken) throw new Error('not taken');
+    if (sender.toLowerCase() !== job.roles[2].toLowerCase()) throw new Error('not worker');
+
+    return () => {
+      job.resultHash = resultHash;
+      this.emitJobEvent(jobId, JobEventType.Delivered, sender, resultHash);
+    };
+  }
+
+  /**
+   * Record a job event and notify listeners
+   * @private
+   */
+  emitJobEvent(jobId, type, address, data) {
+    const id = Number(jobId);
+    const eventData = {
+      type_: BigInt(type),
+      address_: ethers.hexlify(ethers.getBytes(address)),
+      data_: ethers.hexlify(data),
+      timestamp_: BigInt(this.now())
+    };
+
+    const events = this.jobEvents.get(id) || [];
+    events.push(eventData);
+    this.jobEvents.set(id, events);
+
+    // Events are logged in the block that is mined next
+    const log = {
+      eventName: 'JobEvent',
+      blockNumber: this.blockNumber + 1,
+      args: { jobId: BigInt(id), eventData }
+    };
+    this.logs.push(log);
+
+    for (const listener of this.listeners.get('JobEvent') || []) {
+      setImmediate(() => listener(log.args.jobId, eventData, { log }));
+    }
+  }
+
+  /**
+   * Mine a block
+   * @returns {Object} - Receipt-like object for the block
+   * @private
+   */
+  mine() {
+    this.blockNumber++;
+    return {
+      hash: ethers.hexlify(ethers.randomBytes(32)),
+      status: 1,
+      blockNumber: this.blockNumber,
+      gasUsed: 0n
+    };
+  }
+
+  /**
+   * Get ERC20 metadata of a seeded token
+   * @param {string} token - Token address
+   * @returns {Object} - Token info ({symbol, decimals}), 18-decimal 'FAKE' for unknown tokens
+   */
+  getTokenInfo(token) {
+    return this.tokens.get(token.toLowerCase()) || { symbol: 'FAKE', decimals: 18 };
+  }
+
+  /**
+   * Store data in the in-memory IPFS
+   * @param {string|Buffer} data - Data
+   * @returns {Object} - CIDv0 and its bytes32 digest ({hash, digest, size})
+   */
+  addToIpfs(data) {
+    const buffer = Buffer.from(data);
+    const digest = createHash('sha256').update(buffer).digest();
+    const hash = bs58.encode(multihash.encode(digest, 'sha2-256'));
+
+    this.ipfs.set(hash, buffer);
+    return { hash, digest: ethers.hexlify(digest), size: buffer.length };
+  }
+
+  /**
+   * Read data from the in-memory IPFS
+   * @param {string} cid - CID
+   * @returns {Buffer} - Stored data
+   * @throws {Error} if the CID is unknown
+   */
+  getFromIpfs(cid) {
+    if (!this.ipfs.has(cid)) {
+      throw new Error(`CID ${cid} not found in fake IPFS`);
+    }
+    return this.ipfs.get(cid);
+  }
+
+  /**
+   * Register an event listener
+   * @private
+   */
+  addListener(eventName, listener) {
+    const listeners = this.listeners.get(eventName) || [];
+    listeners.push(listener);
+    this.listeners.set(eventName, listeners);
+  }
+
+  /**
+   * Remove an event listener
+   * @private
+   */
+  removeListener(eventName, listener) {
+    const listeners = this.listeners.get(eventName) || [];
+    this.listeners.set(eventName, listeners.filter(existing => existing !== listener));
+  }
+
+  /**
+   * Get a job or revert
+   * @private
+   */
+  requireJob(jobId) {
+    const job = this.jobs[Number(jobId)];
+    if (!job) throw new Error('job not found');
+    return job;
+  }
+
+  /**
+   * Revert if the address is not registered
+   * @private
+   */
+  requireRegistered(address) {
+    if (!this.users.has(address.toLowerCase())) throw new Error('not registered');
+  }
+
+  /**
+   * Encode a job as the `getJob` tuple
+   * @private
+   */
+  encodeJob(job) {
+    return [
+      job.state,
+      job.whitelistWorkers,
+      [...job.roles],
+      job.title,
+      [...job.tags],
+      job.contentHash,
+      job.multipleApplicants,
+      job.amount,
+      job.token,
+      job.timestamp,
+      job.maxTime,
+      job.deliveryMethod,
+      job.collateralOwed,
+      job.escrowId,
+      job.resultHash,
+      job.rating,
+      job.disputed
+    ];
+  }
+
+  /**
+   * Current chain time in seconds
+   * @private
+   */
+  now() {
+    return Math.floor(Date.now() / 1000);
+  }
+}
+
+// Create and export a singleton instance
+const fakeMarketplace = new FakeMarketplace();
+module.exports = fakeMarketplace;
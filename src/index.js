@@ -1,7 +1,7 @@
 // src/index.js
 const config = require('./config');
-const connector = require('./connector');
 const agentManager = require('./agent-manager');
+const rpcHealthMonitor = require('./rpc-health');
 
 /**
  * Main entry point for the EACC Agent Framework
@@ -12,9 +12,14 @@ async function main() {
     console.log('Starting EACC Agent Framework...');
     console.log('==========================================');
     
-    // Initialize the agent manager (this will also initialize the connector)
+    // Initialize the agent manager (this will also initialize the network connectors)
     await agentManager.initialize();
     
+    // Watch RPC endpoint health
+    if (!config.fakeMarketplace) {
+      rpcHealthMonitor.start();
+    }
+    
     // Start job monitoring
     agentManager.startJobMonitoring();
     
@@ -60,6 +65,7 @@ async function shutdown() {
   
   // Stop job monitoring
   agentManager.stopJobMonitoring();
+  rpcHealthMonitor.stop();
   
   // Perform any additional cleanup here
   
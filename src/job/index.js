@@ -0,0 +1,189 @@
+// src/job/index.js
+const { ethers } = require('ethers');
+
+/**
+ * Job states as defined by MarketplaceV1
+ */
+const JobState = {
+  Open: 0,
+  Taken: 1,
+  Closed: 2
+};
+
+/**
+ * Job event types emitted by MarketplaceDataV1
+ */
+const JobEventType = {
+  Created: 0,
+  Taken: 1,
+  Paid: 2,
+  Updated: 3,
+  Signed: 4,
+  Completed: 5,
+  Delivered: 6,
+  Closed: 7,
+  Reopened: 8,
+  Rated: 9,
+  Refunded: 10,
+  Disputed: 11,
+  Arbitrated: 12,
+  ArbitrationRefused: 13,
+  WhitelistedWorkerAdded: 14,
+  WhitelistedWorkerRemoved: 15,
+  CollateralWithdrawn: 16,
+  WorkerMessage: 17,
+  OwnerMessage: 18
+};
+
+const JOB_STATE_NAMES = Object.fromEntries(
+  Object.entries(JobState).map(([name, value]) => [value, name])
+);
+
+/**
+ * Typed representation of a marketplace job
+ * Decoded from the full `getJob` tuple
+ */
+class Job {
+  /**
+   * Constructor
+   * @param {Object} fields - Decoded job fields
+   */
+  constructor(fields) {
+    this.id = fields.id;
+    this.state = fields.state;
+    this.whitelistWorkers = fields.whitelistWorkers;
+    this.roles = fields.roles;
+    this.title = fields.title;
+    this.tags = fields.tags;
+    this.contentHash = fields.contentHash;
+    this.multipleApplicants = fields.multipleApplicants;
+    this.amount = fields.amount;
+    this.token = fields.token;
+    this.timestamp = fields.timestamp;
+    this.maxTime = fields.maxTime;
+    this.deliveryMethod = fields.deliveryMethod;
+    this.collateralOwed = fields.collateralOwed;
+    this.escrowId = fields.escrowId;
+    this.resultHash = fields.resultHash;
+    this.rating = fields.rating;
+    this.disputed = fields.disputed;
+
+    // Name of the network the job lives on, set by the connector
+    this.network = fields.network || null;
+
+    // Payment token metadata, resolved by the connector
+    this.tokenSymbol = fields.tokenSymbol || null;
+    this.tokenDecimals = fields.tokenDecimals !== undefined ? fields.tokenDecimals : null;
+  }
+
+  /**
+   * Decode a job from the raw `getJob` result
+   * @param {number} id - Job ID
+   * @param {ethers.Result|Array} data - Raw tuple returned by `MarketplaceV1.getJob`
+   * @param {string} [network] - Name of the network the job was read from
+   * @returns {Job} - Decoded job
+   */
+  static fromResult(id, data, network = null) {
+    const [
+      state,
+      whitelistWorkers,
+      roles,
+      title,
+      tags,
+      contentHash,
+      multipleApplicants,
+      amount,
+      token,
+      timestamp,
+      maxTime,
+      deliveryMethod,
+      collateralOwed,
+      escrowId,
+      resultHash,
+      rating,
+      disputed
+    ] = data;
+
+    return new Job({
+      id: Number(id),
+      network,
+      state: Number(state),
+      whitelistWorkers: Boolean(whitelistWorkers),
+      roles: {
+        creator: roles[0],
+        arbitrator: roles[1],
+        worker: roles[2]
+      },
+      title: title || `Job #${id}`,
+      tags: Array.from(tags || []),
+      contentHash,
+      multipleApplicants: Boolean(multipleApplicants),
+      amount: BigInt(amount),
+      token,
+      timestamp: new Date(Number(timestamp) * 1000),
+      maxTime: Number(maxTime),
+      deliveryMethod,
+      collateralOwed: BigInt(collateralOwed),
+      escrowId: BigInt(escrowId),
+      resultHash,
+      rating: Number(rating),
+      disputed: Boolean(disputed)
+    });
+  }
+
+  /**
+   * Key identifying the job across networks (e.g. 'arbitrum:42')
+   * Job IDs are only unique within one marketplace
+   * @returns {string} - Job key
+   */
+  get key() {
+    return `${this.network}:${this.id}`;
+  }
+
+  /**
+   * Name of the job state (e.g. 'Open')
+   * @returns {string} - State name
+   */
+  get stateName() {
+    return JOB_STATE_NAMES[this.state] || `Unknown(${this.state})`;
+  }
+
+  /**
+   * Whether a result has been delivered for the job
+   * @returns {boolean} - True if the result hash is set
+   */
+  get hasResult() {
+    return Boolean(this.resultHash) && this.resultHash !== ethers.ZeroHash;
+  }
+
+  /**
+   * Whether the job has a worker assigned
+   * @returns {boolean} - True if the worker role is set
+   */
+  get hasWorker() {
+    return this.roles.worker !== ethers.ZeroAddress;
+  }
+
+  /**
+   * Human-readable payment amount (e.g. '50.0 USDC')
+   * Falls back to the raw amount and token address if the token metadata is not resolved
+   * @returns {string} - Formatted amount
+   */
+  get formattedAmount() {
+    if (this.tokenDecimals === null) {
+      return `${this.amount} (token ${this.token})`;
+    }
+
+    return `${ethers.formatUnits(this.amount, this.tokenDecimals)} ${this.tokenSymbol}`;
+  }
+
+  /**
+   * Whether the job pays in native ETH rather than an ERC20 token
+   * @returns {boolean} - True for ETH jobs
+   */
+  get isNativeToken() {
+    return this.token === ethers.ZeroAddress;
+  }
+}
+
+module.exports = { Job, JobState, JobEventType };
@@ -0,0 +1,70 @@
+// src/networks/index.js
+const config = require('../config');
+const EACCConnector = require('../connector');
+
+/**
+ * Registry of the configured networks, with one marketplace connector each
+ */
+class NetworkRegistry {
+  constructor() {
+    this.connectors = new Map(); // Map of network name to connector
+
+    for (const network of config.networks) {
+      this.connectors.set(network.name, new EACCConnector(network));
+    }
+  }
+
+  /**
+   * Initialize the connector of every network
+   */
+  async initialize() {
+    for (const connector of this.connectors.values()) {
+      await connector.initialize();
+    }
+  }
+
+  /**
+   * Get the connector of a network
+   * @param {string} name - Network name
+   * @returns {EACCConnector} - Connector
+   */
+  get(name) {
+    const connector = this.connectors.get(name);
+
+    if (!connector) {
+      throw new Error(`Unknown network: ${name}`);
+    }
+
+    return connector;
+  }
+
+  /**
+   * Get the connector of the network a job lives on
+   * Records written before networks were configurable have no network and belong to the first one
+   * @param {Object} job - Job or stored job record with a `network` field
+   * @returns {EACCConnector} - Connector
+   */
+  forJob(job) {
+    return job.network ? this.get(job.network) : this.getDefault();
+  }
+
+  /**
+   * Get the connector of the first configured network
+   * @returns {EACCConnector} - Connector
+   */
+  getDefault() {
+    return this.connectors.values().next().value;
+  }
+
+  /**
+   * Get the connectors of all networks
+   * @returns {Array<EACCConnector>} - Connectors
+   */
+  all() {
+    return Array.from(this.connectors.values());
+  }
+}
+
+// Create and export a singleton instance
+const networkRegistry = new NetworkRegistry();
+module.exports = networkRegistry;
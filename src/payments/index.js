@@ -0,0 +1,230 @@
+// src/payments/index.js
+const { ethers } = require('ethers');
+const config = require('../config');
+const networks = require('../networks');
+const JsonStore = require('../storage');
+const { JobState, JobEventType } = require('../job');
+
+/**
+ * Payment states of a delivered job
+ */
+const PaymentStatus = {
+  AwaitingApproval: 'awaiting_approval',
+  Disputed: 'disputed',
+  Released: 'released',
+  Refunded: 'refunded',
+  Arbitrated: 'arbitrated'
+};
+
+// Job events that settle the escrow of a delivered job
+const SETTLEMENT_EVENTS = {
+  [JobEventType.Completed]: PaymentStatus.Released,
+  [JobEventType.Refunded]: PaymentStatus.Refunded,
+  [JobEventType.Closed]: PaymentStatus.Refunded,
+  [JobEventType.Arbitrated]: PaymentStatus.Arbitrated
+};
+
+/**
+ * Tracker for the payouts of delivered jobs
+ * Follows each delivery until its escrow is released, refunded or arbitrated,
+ * and reminds creators who leave a delivery unapproved for too long
+ */
+class PaymentTracker {
+  constructor() {
+    this.store = new JsonStore('payments');
+  }
+
+  /**
+   * Start tracking the payment of a delivered job
+   * @param {string} agentName - Agent that delivered the job
+   * @param {Job} job - Delivered job
+   */
+  recordDelivery(agentName, job) {
+    const payments = this.store.get('payments', {});
+
+    payments[job.key] = {
+      jobId: job.id,
+      network: job.network,
+      agentName,
+      creator: job.roles.creator,
+      escrowId: job.escrowId.toString(),
+      amount: job.amount.toString(),
+      token: job.token,
+      tokenSymbol: job.tokenSymbol,
+      tokenDecimals: job.tokenDecimals,
+      status: PaymentStatus.AwaitingApproval,
+      deliveredAt: new Date().toISOString(),
+      settledAt: null,
+      remindersSent: 0,
+      lastReminderAt: null
+    };
+
+    this.store.set('payments', payments);
+    console.log(`Tracking payment of ${this.formatAmount(payments[job.key])} for job ${job.key} (escrow ${job.escrowId})`);
+  }
+
+  /**
+   * Check every unsettled payment for release, refund or arbitration
+   * Sends a reminder to the creator if approval is pending past PAYMENT_REMINDER_AFTER
+   */
+  async followUp() {
+    const pending = Object.entries(this.store.get('payments', {})).filter(([, payment]) => !payment.settledAt);
+
+    for (const [key, payment] of pending) {
+      try {
+        const connector = networks.forJob(payment);
+        const job = await connector.getJob(payment.jobId);
+        const status = await this.getStatus(connector, job);
+
+        if (status !== payment.status) {
+          this.updatePayment(key, {
+            status,
+            settledAt: this.isSettled(status) ? new Date().toISOString() : null
+          });
+          console.log(`Payment for job ${job.key} is now ${status}: ${this.formatAmount(payment)} (escrow ${payment.escrowId})`);
+        }
+
+        if (status === PaymentStatus.AwaitingApproval && this.isReminderDue(payment)) {
+          await this.sendReminder(connector, key, job, payment);
+        }
+      } catch (error) {
+        console.error(`Error following up payment of job ${key}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Get all tracked payments
+   * Shown by `npm run profile -- --payments`
+   * @returns {Array<Object>} - Payment records
+   */
+  getPayments() {
+    return Object.values(this.store.get('payments', {}));
+  }
+
+  /**
+   * Get payment totals per token and status
+   * @returns {Object} - Map of token symbol (or address) to {status: formatted amount}
+   */
+  getSummary() {
+    const totals = {};
+
+    for (const payment of this.getPayments()) {
+      const token = payment.tokenSymbol || payment.token;
+      totals[token] = totals[token] || { decimals: payment.tokenDecimals, byStatus: {} };
+      totals[token].byStatus[payment.status] = (totals[token].byStatus[payment.status] || 0n) + BigInt(payment.amount);
+    }
+
+    return Object.fromEntries(Object.entries(totals).map(([token, { decimals, byStatus }]) => [
+      token,
+      Object.fromEntries(Object.entries(byStatus).map(([status, amount]) => [
+        status,
+        decimals === null ? amount.toString() : ethers.formatUnits(amount, decimals)
+      ]))
+    ]));
+  }
+
+  /**
+   * Determine the payment status of a delivered job from its event history
+   * @param {EACCConnector} connector - Connector of the job's network
+   * @param {Job} job - Current job
+   * @returns {string} - Payment status
+   * @private
+   */
+  async getStatus(connector, job) {
+    const events = await connector.getJobEvents(job.id);
+
+    // Only events after our latest delivery settle this payment
+    const deliveredIndex = events.map(event => event.type).lastIndexOf(JobEventType.Delivered);
+    const settlement = events.slice(deliveredIndex + 1).find(event => SETTLEMENT_EVENTS[event.type]);
+
+    if (settlement) return SETTLEMENT_EVENTS[settlement.type];
+    if (job.disputed) return PaymentStatus.Disputed;
+
+    // A job reopened after delivery was refunded to the creator
+    if (job.state === JobState.Open) return PaymentStatus.Refunded;
+
+    return PaymentStatus.AwaitingApproval;
+  }
+
+  /**
+   * Whether a payment status is final
+   * @param {string} status - Payment status
+   * @returns {boolean} - True if the escrow is settled
+   * @private
+   */
+  isSettled(status) {
+    return [PaymentStatus.Released, PaymentStatus.Refunded, PaymentStatus.Arbitrated].includes(status);
+  }
+
+  /**
+   * Whether a reminder should be sent for a payment
+   * @param {Object} payment - Payment record
+   * @returns {boolean} - True if a reminder is due
+   * @private
+   */
+  isReminderDue(payment) {
+    if (payment.remindersSent >= config.paymentMaxReminders) return false;
+
+    const since = new Date(payment.lastReminderAt || payment.deliveredAt).getTime();
+    return Date.now() - since >= config.paymentReminderAfter;
+  }
+
+  /**
+   * Send a polite approval reminder to the job creator
+   * @param {EACCConnector} connector - Connector of the job's network
+   * @param {string} key - Payment record key
+   * @param {Job} job - Current job
+   * @param {Object} payment - Payment record
+   * @private
+   */
+  async sendReminder(connector, key, job, payment) {
+    const deliveredOn = new Date(payment.deliveredAt).toUTCString();
+
+    const message = `
+Hi! Just a friendly reminder that the result for "${job.title}" was delivered on ${deliveredOn}.
+
+When you have a moment, please review it and approve the delivery so the ${this.formatAmount(payment)} escrow can be released. If anything needs changing, reply here and I'll take care of it.
+
+Thank you!
+    `;
+
+    console.log(`Sending payment reminder ${payment.remindersSent + 1} for job ${job.key}`);
+
+    if (await connector.postThreadMessage(job.id, message, job.roles.creator)) {
+      this.updatePayment(key, {
+        remindersSent: payment.remindersSent + 1,
+        lastReminderAt: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Update fields of a payment record and persist it
+   * @param {string} key - Payment record key (`job.key`)
+   * @param {Object} fields - Fields to update
+   * @private
+   */
+  updatePayment(key, fields) {
+    const payments = this.store.get('payments', {});
+    Object.assign(payments[key], fields);
+    this.store.set('payments', payments);
+  }
+
+  /**
+   * Format the amount of a payment record
+   * @param {Object} payment - Payment record
+   * @returns {string} - Formatted amount
+   */
+  formatAmount(payment) {
+    if (payment.tokenDecimals === null) {
+      return `${payment.amount} (token ${payment.token})`;
+    }
+
+    return `${ethers.formatUnits(payment.amount, payment.tokenDecimals)} ${payment.tokenSymbol}`;
+  }
+}
+
+// Create and export a singleton instance
+const paymentTracker = new PaymentTracker();
+module.exports = paymentTracker;
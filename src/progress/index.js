@@ -0,0 +1,70 @@
+// src/progress/index.js
+const config = require('../config');
+const networks = require('../networks');
+
+/**
+ * Progress updates sent to job creators while a job is being executed
+ * Updates are throttled so only meaningful milestones reach the chain
+ */
+class ProgressReporter {
+  constructor() {
+    this.lastUpdates = new Map(); // Map of job key to the last update sent ({percent, at})
+  }
+
+  /**
+   * Report progress on a job to its creator
+   * Skipped unless it is the first update, the job is complete, or enough progress or time has passed
+   * @param {Job} job - Job being executed
+   * @param {string} message - Progress note
+   * @param {number} percent - Completion percentage (0-100)
+   * @returns {boolean} - True if an update was sent
+   */
+  async report(job, message, percent) {
+    const clampedPercent = Math.max(0, Math.min(100, Math.round(Number(percent) || 0)));
+
+    if (!this.isMilestone(job.key, clampedPercent)) {
+      console.log(`Progress on job ${job.key} at ${clampedPercent}%, not reporting yet`);
+      return false;
+    }
+
+    // Progress goes to the job thread; publishJobEvent is restricted to the marketplace contract
+    const text = `Progress update (${clampedPercent}%): ${message}`;
+    const sent = await networks.forJob(job).postThreadMessage(job.id, text, job.roles.creator);
+
+    if (sent) {
+      this.lastUpdates.set(job.key, { percent: clampedPercent, at: Date.now() });
+    }
+
+    return sent;
+  }
+
+  /**
+   * Forget the progress of a job once it is delivered or no longer active
+   * @param {string} jobKey - Job key (`job.key`)
+   */
+  clear(jobKey) {
+    this.lastUpdates.delete(jobKey);
+  }
+
+  /**
+   * Check whether an update is worth sending
+   * @param {string} jobKey - Job key (`job.key`)
+   * @param {number} percent - Completion percentage
+   * @returns {boolean} - True if the update should be sent
+   * @private
+   */
+  isMilestone(jobKey, percent) {
+    const last = this.lastUpdates.get(jobKey);
+
+    if (!last) return true;
+    if (percent <= last.percent) return false;
+    if (percent === 100) return true;
+
+    return percent - last.percent >= config.progressMinStep ||
+      Date.now() - last.at >= config.progressMinInterval;
+  }
+}
+
+// Create and export a singleton instance
+const progressReporter = new ProgressReporter();
+module.exports = progressReporter;
@@ -0,0 +1,131 @@
+// src/reputation/index.js
+const config = require('../config');
+const JsonStore = require('../storage');
+
+/**
+ * Tracker for the ratings our agent wallet receives
+ * Records the outcome of every job we worked on, per agent and per job category (tag)
+ */
+class ReputationTracker {
+  constructor() {
+    this.store = new JsonStore('reputation');
+  }
+
+  /**
+   * Record a finished job
+   * Jobs closed without a rating yet are kept as pending and updated later
+   * @param {string} agentName - Agent that worked on the job
+   * @param {Job} job - Closed job
+   */
+  recordJob(agentName, job) {
+    const jobs = this.store.get('jobs', {});
+    const existing = jobs[job.key];
+
+    jobs[job.key] = {
+      jobId: job.id,
+      network: job.network,
+      agentName,
+      tags: job.tags.map(tag => tag.toLowerCase()),
+      rating: job.rating,
+      disputed: job.disputed,
+      closedAt: existing ? existing.closedAt : new Date().toISOString(),
+      ratedAt: job.rating > 0 ? (existing?.ratedAt || new Date().toISOString()) : null
+    };
+
+    this.store.set('jobs', jobs);
+
+    if (job.rating > 0 && !(existing && existing.rating > 0)) {
+      console.log(`Job ${job.key} rated ${job.rating} for agent ${agentName}`);
+    }
+  }
+
+  /**
+   * Get the jobs still waiting for a rating within the rating window
+   * @returns {Array<Object>} - Job records
+   */
+  getPendingRatings() {
+    const cutoff = Date.now() - config.reputationRatingWindow;
+
+    return Object.values(this.store.get('jobs', {})).filter(record =>
+      record.rating === 0 && new Date(record.closedAt).getTime() >= cutoff
+    );
+  }
+
+  /**
+   * Get aggregate stats over all rated jobs
+   * @returns {Object} - {overall, byAgent, byCategory}
+   */
+  getStats() {
+    const records = Object.values(this.store.get('jobs', {}));
+    const byAgent = {};
+    const byCategory = {};
+
+    for (const record of records) {
+      (byAgent[record.agentName] = byAgent[record.agentName] || []).push(record);
+
+      for (const tag of record.tags) {
+        (byCategory[tag] = byCategory[tag] || []).push(record);
+      }
+    }
+
+    const summarise = group => Object.fromEntries(
+      Object.entries(group).map(([key, groupRecords]) => [key, this.summarise(groupRecords)])
+    );
+
+    return {
+      overall: this.summarise(records),
+      byAgent: summarise(byAgent),
+      byCategory: summarise(byCategory)
+    };
+  }
+
+  /**
+   * Score an agent for a job based on its ratings in the job's categories
+   * @param {string} agentName - Agent name
+   * @param {Array<string>} tags - Job tags
+   * @returns {Object} - {average, count}; average is null without enough ratings
+   */
+  getScore(agentName, tags) {
+    const jobTags = tags.map(tag => tag.toLowerCase());
+
+    const records = Object.values(this.store.get('jobs', {})).filter(record =>
+      record.agentName === agentName && record.tags.some(tag => jobTags.includes(tag))
+    );
+
+    const { average, rated } = this.summarise(records);
+
+    return {
+      average: rated >= config.reputationMinSamples ? average : null,
+      count: rated
+    };
+  }
+
+  /**
+   * Summarise a list of job records
+   * @param {Array<Object>} records - Job records
+   * @returns {Object} - {jobs, rated, average, disputed, distribution}
+   * @private
+   */
+  summarise(records) {
+    const rated = records.filter(record => record.rating > 0);
+    const distribution = {};
+
+    for (const record of rated) {
+      distribution[record.rating] = (distribution[record.rating] || 0) + 1;
+    }
+
+    return {
+      jobs: records.length,
+      rated: rated.length,
+      average: rated.length > 0
+        ? rated.reduce((sum, record) => sum + record.rating, 0) / rated.length
+        : null,
+      disputed: records.filter(record => record.disputed).length,
+      distribution
+    };
+  }
+}
+
+// Create and export a singleton instance
+const reputationTracker = new ReputationTracker();
+module.exports = reputationTracker;
@@ -0,0 +1,123 @@
+// src/rpc-health/index.js
+const config = require('../config');
+
+/**
+ * Periodic health checks of the configured RPC endpoints
+ * Failover itself is handled by the shared FallbackProvider; this reports
+ * endpoints that are unreachable or lagging so the operator can replace them
+ */
+class RpcHealthMonitor {
+  constructor() {
+    this.status = new Map(); // Map of network name and RPC URL to last health status
+    this.interval = null;
+  }
+
+  /**
+   * Start periodic health checks
+   */
+  start() {
+    if (this.interval) return;
+
+    this.check().catch(error => {
+      console.error('Error checking RPC health:', error);
+    });
+
+    this.interval = setInterval(() => {
+      this.check().catch(error => {
+        console.error('Error checking RPC health:', error);
+      });
+    }, config.rpcHealthCheckInterval);
+  }
+
+  /**
+   * Stop periodic health checks
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Check every RPC endpoint of every network
+   * @returns {Array<Object>} - Status per endpoint ({network, url, healthy, blockNumber, latencyMs, error})
+   */
+  async check() {
+    const results = [];
+
+    for (const network of config.networks) {
+      results.push(...await this.checkNetwork(network));
+    }
+
+    return results;
+  }
+
+  /**
+   * Check the RPC endpoints of one network
+   * Block lag is measured against the other endpoints of the same chain
+   * @param {Object} network - Network profile
+   * @returns {Array<Object>} - Status per endpoint
+   * @private
+   */
+  async checkNetwork(network) {
+    const endpoints = config.getRpcEndpoints(network);
+
+    const results = await Promise.all(endpoints.map(async ({ url, provider }) => {
+      const startTime = Date.now();
+
+      try {
+        const blockNumber = await this.withTimeout(provider.getBlockNumber(), config.rpcStallTimeout * 5);
+        return { network: network.name, url, healthy: true, blockNumber, latencyMs: Date.now() - startTime, error: null };
+      } catch (error) {
+        return { network: network.name, url, healthy: false, blockNumber: null, latencyMs: Date.now() - startTime, error: error.message };
+      }
+    }));
+
+    // Endpoints that respond but fall too far behind the best one are unhealthy too
+    const bestBlock = Math.max(...results.filter(result => result.healthy).map(result => result.blockNumber));
+
+    for (const result of results) {
+      if (result.healthy && bestBlock - result.blockNumber > config.rpcMaxBlockLag) {
+        result.healthy = false;
+        result.error = `${bestBlock - result.blockNumber} blocks behind`;
+      }
+
+      const statusKey = `${network.name}:${result.url}`;
+      const previous = this.status.get(statusKey);
+      if (!result.healthy && (!previous || previous.healthy)) {
+        console.warn(`RPC endpoint ${result.url} of network ${network.name} is unhealthy: ${result.error}`);
+      } else if (result.healthy && previous && !previous.healthy) {
+        console.log(`RPC endpoint ${result.url} of network ${network.name} recovered`);
+      }
+
+      this.status.set(statusKey, result);
+    }
+
+    if (results.every(result => !result.healthy)) {
+      console.error(`All RPC endpoints of network ${network.name} are unhealthy, job monitoring will stall there`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Reject a promise if it does not settle in time
+   * @param {Promise} promise - Promise
+   * @param {number} ms - Timeout in milliseconds
+   * @returns {Promise} - Promise result
+   * @private
+   */
+  withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+}
+
+// Create and export a singleton instance
+const rpcHealthMonitor = new RpcHealthMonitor();
+module.exports = rpcHealthMonitor;
@@ -0,0 +1,132 @@
+// src/scheduler/index.js
+const { JobState } = require('../job');
+
+const DURATION_UNITS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Deadline bookkeeping for taken jobs
+ * A taken job must be delivered within `maxTime` seconds of being taken (the job timestamp)
+ */
+class DeadlineScheduler {
+  /**
+   * Parse an agent's completion estimate into milliseconds
+   * Ranges use their upper bound ("3-4 days" is 4 days); numbers are seconds, like `maxTime`
+   * @param {string|number} estimate - Estimate returned by `estimateCompletionTime`
+   * @returns {number|null} - Duration in milliseconds, or null if it cannot be parsed
+   */
+  parseDuration(estimate) {
+    if (typeof estimate === 'number') {
+      return Number.isFinite(estimate) ? estimate * 1000 : null;
+    }
+
+    const match = /(\d+(?:\.\d+)?)(?:\s*(?:-|to)\s*(\d+(?:\.\d+)?))?\s*(minute|min|hour|hr|day|week)s?\b/i
+      .exec(String(estimate || ''));
+    if (!match) return null;
+
+    const units = { min: 'minute', hr: 'hour' };
+    const unit = units[match[3].toLowerCase()] || match[3].toLowerCase();
+
+    return parseFloat(match[2] || match[1]) * DURATION_UNITS[unit];
+  }
+
+  /**
+   * Format a duration for log messages (e.g. '1d 4h')
+   * @param {number} ms - Duration in milliseconds
+   * @returns {string} - Formatted duration
+   */
+  formatDuration(ms) {
+    const sign = ms < 0 ? '-' : '';
+    const minutes = Math.floor(Math.abs(ms) / DURATION_UNITS.minute);
+    const days = Math.floor(minutes / (24 * 60));
+    const hours = Math.floor((minutes % (24 * 60)) / 60);
+
+    if (days > 0) return `${sign}${days}d ${hours}h`;
+    if (hours > 0) return `${sign}${hours}h ${minutes % 60}m`;
+    return `${sign}${minutes}m`;
+  }
+
+  /**
+   * Get the delivery deadline of a taken job
+   * @param {Job} job - Job object
+   * @returns {Date|null} - Deadline, or null if the job is not taken or has no time limit
+   */
+  getDeadline(job) {
+    if (job.state !== JobState.Taken || !job.maxTime) return null;
+
+    return new Date(job.timestamp.getTime() + job.maxTime * 1000);
+  }
+
+  /**
+   * Get the time left before a taken job's deadline
+   * @param {Job} job - Job object
+   * @returns {number|null} - Milliseconds left (negative when overdue), or null without a deadline
+   */
+  getRemainingTime(job) {
+    const deadline = this.getDeadline(job);
+    return deadline ? deadline.getTime() - Date.now() : null;
+  }
+
+  /**
+   * Order active jobs by urgency, earliest deadline first
+   * Jobs without a deadline (not taken yet) keep their order after the others
+   * @param {Array<Object>} entries - Entries with the current `job`
+   * @returns {Array<Object>} - Sorted copy of the entries
+   */
+  prioritise(entries) {
+    const deadlineOf = entry => this.getDeadline(entry.job)?.getTime() ?? Infinity;
+
+    return [...entries].sort((a, b) => deadlineOf(a) - deadlineOf(b));
+  }
+
+  /**
+   * Check whether an agent's estimate fits within a job's time limit before applying
+   * @param {Job} job - Open job
+   * @param {string|number} estimate - Agent estimate
+   * @returns {boolean} - False if the job's `maxTime` is shorter than the estimate
+   */
+  fitsTimeLimit(job, estimate) {
+    const estimateMs = this.parseDuration(estimate);
+
+    if (estimateMs === null) {
+      console.warn(`Could not parse completion estimate "${estimate}" for job ${job.id}, not checking its time limit`);
+      return true;
+    }
+
+    return !job.maxTime || estimateMs <= job.maxTime * 1000;
+  }
+
+  /**
+   * Warn the operator if a taken job is unlikely to be delivered before its deadline
+   * @param {Job} job - Taken job
+   * @param {string|number} estimate - Agent estimate
+   * @param {string} agentName - Agent working on the job
+   * @returns {boolean} - True if the estimate fits in the remaining window
+   */
+  checkDeadline(job, estimate, agentName) {
+    const remaining = this.getRemainingTime(job);
+    const estimateMs = this.parseDuration(estimate);
+
+    if (remaining === null || estimateMs === null) return true;
+
+    if (remaining < 0) {
+      console.warn(`Job ${job.id} is past its deadline by ${this.formatDuration(-remaining)} (agent ${agentName})`);
+      return false;
+    }
+
+    if (estimateMs > remaining) {
+      console.warn(`Agent ${agentName} estimates ${estimate} for job ${job.id} but only ${this.formatDuration(remaining)} remain before the deadline`);
+      return false;
+    }
+
+    return true;
+  }
+}
+
+// Create and export a singleton instance
+const deadlineScheduler = new DeadlineScheduler();
+module.exports = deadlineScheduler;
@@ -0,0 +1,247 @@
+// src/signer/index.js
+const fs = require('fs');
+const readline = require('readline');
+const axios = require('axios');
+const { ethers } = require('ethers');
+
+/**
+ * Signer backed by a separate signing process over JSON-RPC (e.g. Clef or Web3Signer)
+ * The key never enters this process; transactions are signed remotely and broadcast locally
+ */
+class RemoteSigner extends ethers.AbstractSigner {
+  /**
+   * Constructor
+   * @param {string} url - JSON-RPC endpoint of the signing process
+   * @param {string} address - Account to sign with
+   * @param {ethers.Provider|null} provider - Provider used to broadcast transactions
+   */
+  constructor(url, address, provider = null) {
+    super(provider);
+    this.url = url;
+    this.address = ethers.getAddress(address);
+    this.requestId = 0;
+  }
+
+  /**
+   * Create a signer for the configured or first account of the signing process
+   * @param {string} url - JSON-RPC endpoint of the signing process
+   * @param {string|null} address - Account to sign with (default: first account)
+   * @param {ethers.Provider|null} provider - Provider used to broadcast transactions
+   * @returns {RemoteSigner} - Signer instance
+   */
+  static async create(url, address, provider) {
+    const signer = new RemoteSigner(url, address || ethers.ZeroAddress, provider);
+    const accounts = (await signer.request('eth_accounts', [])).map(account => account.toLowerCase());
+
+    if (accounts.length === 0) {
+      throw new Error(`Remote signer at ${url} has no accounts`);
+    }
+
+    if (!address) {
+      signer.address = ethers.getAddress(accounts[0]);
+    } else if (!accounts.includes(address.toLowerCase())) {
+      throw new Error(`Remote signer at ${url} does not manage account ${address}`);
+    }
+
+    return signer;
+  }
+
+  /**
+   * Get the signer address
+   * @returns {string} - Address
+   */
+  async getAddress() {
+    return this.address;
+  }
+
+  /**
+   * Return a copy of the signer connected to another provider
+   * @param {ethers.Provider|null} provider - Provider
+   * @returns {RemoteSigner} - Connected signer
+   */
+  connect(provider) {
+    return new RemoteSigner(this.url, this.address, provider);
+  }
+
+  /**
+   * Sign a transaction with the remote signer
+   * Like `Wallet.signTransaction`, the request must already be populated (see `sendTransaction`)
+   * @param {ethers.TransactionRequest} tx - Populated transaction request
+   * @returns {string} - Serialized signed transaction
+   */
+  async signTransaction(tx) {
+    const request = ethers.copyRequest(tx);
+    if (request.to) request.to = await ethers.resolveAddress(request.to, this.provider);
+
+    const result = await this.request('eth_signTransaction', [this.toRpcTransaction(request)]);
+
+    // Clef answers with {raw, tx}, most other signers with the raw transaction
+    const raw = typeof result === 'string' ? result : result.raw;
+
+    if (ethers.Transaction.from(raw).from !== this.address) {
+      throw new Error('Remote signer returned a transaction signed by another account');
+    }
+
+    return raw;
+  }
+
+  /**
+   * Sign a message (EIP-191 personal message)
+   * @param {string|Uint8Array} message - Message
+   * @returns {string} - Signature
+   */
+  async signMessage(message) {
+    const data = typeof message === 'string' ? ethers.toUtf8Bytes(message) : message;
+    return this.request('eth_sign', [this.address, ethers.hexlify(data)]);
+  }
+
+  /**
+   * Sign EIP-712 typed data
+   * @param {Object} domain - Typed data domain
+   * @param {Object} types - Typed data types
+   * @param {Object} value - Typed data value
+   * @returns {string} - Signature
+   */
+  async signTypedData(domain, types, value) {
+    const payload = ethers.TypedDataEncoder.getPayload(domain, types, value);
+    return this.request('eth_signTypedData_v4', [this.address, JSON.stringify(payload)]);
+  }
+
+  /**
+   * Convert a populated transaction into its JSON-RPC form
+   * @param {ethers.TransactionLike} tx - Populated transaction
+   * @returns {Object} - JSON-RPC transaction object
+   * @private
+   */
+  toRpcTransaction(tx) {
+    const rpcTx = { from: this.address };
+
+    for (const key of ['to', 'data']) {
+      if (tx[key] != null) rpcTx[key] = tx[key];
+    }
+
+    const quantities = {
+      value: 'value',
+      gasLimit: 'gas',
+      nonce: 'nonce',
+      chainId: 'chainId',
+      type: 'type',
+      gasPrice: 'gasPrice',
+      maxFeePerGas: 'maxFeePerGas',
+      maxPriorityFeePerGas: 'maxPriorityFeePerGas'
+    };
+
+    for (const [key, rpcKey] of Object.entries(quantities)) {
+      if (tx[key] != null) rpcTx[rpcKey] = ethers.toQuantity(tx[key]);
+    }
+
+    if (tx.accessList) rpcTx.accessList = ethers.accessListify(tx.accessList);
+
+    return rpcTx;
+  }
+
+  /**
+   * Send a JSON-RPC request to the signing process
+   * @param {string} method - RPC method
+   * @param {Array} params - RPC parameters
+   * @returns {any} - RPC result
+   * @private
+   */
+  async request(method, params) {
+    const response = await axios.post(this.url, {
+      jsonrpc: '2.0',
+      id: ++this.requestId,
+      method,
+      params
+    });
+
+    if (response.data.error) {
+      throw new Error(`Remote signer ${method} failed: ${response.data.error.message}`);
+    }
+
+    return response.data.result;
+  }
+}
+
+/**
+ * Loader for the agent's signer
+ * Supports a raw private key, an encrypted JSON keystore and a remote signing process
+ */
+class SignerLoader {
+  /**
+   * Load the configured signer
+   * @param {Object} options - Signer options
+   * @param {string} [options.privateKey] - Raw private key
+   * @param {string} [options.keystorePath] - Path of an encrypted JSON keystore
+   * @param {string} [options.keystorePassword] - Keystore password (prompted for if missing)
+   * @param {string} [options.remoteSignerUrl] - JSON-RPC endpoint of a remote signer
+   * @param {string} [options.remoteSignerAddress] - Account of the remote signer to use
+   * @param {ethers.Provider|null} provider - Provider to connect the signer to
+   * @returns {ethers.AbstractSigner} - Signer with an `address` property
+   */
+  async load(options, provider) {
+    if (options.remoteSignerUrl) {
+      const signer = await RemoteSigner.create(options.remoteSignerUrl, options.remoteSignerAddress, provider);
+      console.log(`Using remote signer at ${options.remoteSignerUrl} for ${signer.address}`);
+      return signer;
+    }
+
+    if (options.keystorePath) {
+      return this.loadKeystore(options.keystorePath, options.keystorePassword, provider);
+    }
+
+    return new ethers.Wallet(options.privateKey, provider);
+  }
+
+  /**
+   * Decrypt a JSON keystore
+   * @param {string} keystorePath - Keystore file path
+   * @param {string} [password] - Keystore password
+   * @param {ethers.Provider|null} provider - Provider to connect the wallet to
+   * @returns {ethers.Wallet} - Decrypted wallet
+   * @private
+   */
+  async loadKeystore(keystorePath, password, provider) {
+    const json = fs.readFileSync(keystorePath, 'utf8');
+
+    if (password === undefined) {
+      password = await this.promptPassword(`Password for keystore ${keystorePath}: `);
+    }
+
+    console.log(`Decrypting keystore ${keystorePath}...`);
+    const wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+
+    return wallet.connect(provider);
+  }
+
+  /**
+   * Prompt for a password on the terminal without echoing it
+   * @param {string} question - Prompt text
+   * @returns {string} - Entered password
+   * @private
+   */
+  promptPassword(question) {
+    if (!process.stdin.isTTY) {
+      throw new Error('KEYSTORE_PASSWORD is not set and there is no terminal to prompt for it');
+    }
+
+    return new Promise(resolve => {
+      const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+
+      // Mute everything written after the prompt so the password is not echoed
+      rl._writeToOutput = text => {
+        if (text.startsWith(question)) process.stdout.write(question);
+      };
+
+      rl.question(question, answer => {
+        rl.close();
+        process.stdout.write('\n');
+        resolve(answer);
+      });
+    });
+  }
+}
+
+// Create and export a singleton instance
+const signerLoader = new SignerLoader();
+module.exports = { signerLoader, RemoteSigner };
@@ -0,0 +1,77 @@
+// src/storage/index.js
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+/**
+ * Small JSON file store for agent state that must survive restarts
+ * Each store is a single file in the configured data directory
+ * With the fake marketplace the state is kept in memory only, and dry runs use their own
+ * `-dryrun` files so simulated actions never advance the state of live runs
+ */
+class JsonStore {
+  /**
+   * Constructor
+   * @param {string} name - Store name (used as the file name)
+   */
+  constructor(name) {
+    this.filePath = path.join(config.dataDir, `${name}${config.dryRun ? '-dryrun' : ''}.json`);
+    this.persistent = !config.fakeMarketplace;
+    this.data = null;
+  }
+
+  /**
+   * Load the store from disk
+   * @returns {Object} - Stored data
+   */
+  load() {
+    if (this.data) return this.data;
+
+    try {
+      if (this.persistent && fs.existsSync(this.filePath)) {
+        this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      } else {
+        this.data = {};
+      }
+    } catch (error) {
+      console.error(`Failed to read state file ${this.filePath}:`, error.message);
+      this.data = {};
+    }
+
+    return this.data;
+  }
+
+  /**
+   * Get a stored value
+   * @param {string} key - Key
+   * @param {any} defaultValue - Value returned if the key is missing
+   * @returns {any} - Stored value
+   */
+  get(key, defaultValue = undefined) {
+    const data = this.load();
+    return key in data ? data[key] : defaultValue;
+  }
+
+  /**
+   * Set a value and persist the store
+   * @param {string} key - Key
+   * @param {any} value - Value (must be JSON serialisable)
+   */
+  set(key, value) {
+    const data = this.load();
+    data[key] = value;
+    this.save();
+  }
+
+  /**
+   * Write the store to disk
+   */
+  save() {
+    if (!this.persistent) return;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(this.data || {}, null, 2));
+  }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,391 @@
+// src/transactions/index.js
+const { ethers } = require('ethers');
+const config = require('../config');
+const JsonStore = require('../storage');
+
+// ethers error codes worth retrying: the RPC failed, not the transaction
+const TRANSIENT_ERROR_CODES = ['NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR', 'UNKNOWN_ERROR'];
+
+/**
+ * Transaction manager for the agent wallet
+ * Serialises nonces, estimates gas, retries transient RPC failures,
+ * replaces stuck transactions and records every transaction per job
+ */
+class TransactionManager {
+  /**
+   * Constructor
+   * One manager is used per network, since nonces are tracked per chain
+   * @param {string} storeName - Name of the store the transaction records are kept in
+   */
+  constructor(storeName = 'transactions') {
+    this.wallet = null;
+    this.provider = null;
+    this.nextNonce = null;
+    this.sendQueue = Promise.resolve(); // Serialises nonce assignment and broadcast
+    this.records = new JsonStore(storeName);
+  }
+
+  /**
+   * Initialize the transaction manager
+   * @param {ethers.AbstractSigner} wallet - Agent signer
+   */
+  initialize(wallet) {
+    this.wallet = wallet;
+    this.provider = wallet.provider;
+    this.nextNonce = null;
+  }
+
+  /**
+   * Send a contract transaction and wait for it to be mined
+   * @param {ethers.Contract} contract - Contract instance connected to the agent wallet
+   * @param {string} method - Contract method name
+   * @param {Array} args - Method arguments
+   * @param {Object} [options] - Options
+   * @param {number} [options.jobId] - Job the transaction belongs to
+   * @returns {ethers.TransactionReceipt} - Receipt of the mined transaction
+   */
+  async send(contract, method, args, options = {}) {
+    const { jobId = null } = options;
+    const label = `${method}${jobId !== null ? ` (job ${jobId})` : ''}`;
+
+    // The in-process fake marketplace executes (or simulates) writes itself
+    if (typeof contract.execute === 'function') {
+      const receipt = await contract.execute(method, args, { simulate: config.dryRun });
+      if (!receipt.dryRun) this.record(jobId, method, { hash: receipt.hash, nonce: null }, 'mined', receipt);
+      return receipt;
+    }
+
+    if (config.dryRun) {
+      return this.simulate(label, contract, method, args);
+    }
+
+    // Build and estimate once, the same request is reused for replacements
+    const request = await this.withRetries(label, () => contract[method].populateTransaction(...args));
+    request.gasLimit = await this.estimateGas(label, request);
+    let fees = await this.getFees(label);
+
+    // Assign a nonce and broadcast the first attempt
+    let tx = await this.enqueueSend(() => this.broadcastWithNonce(label, request, fees));
+    const hashes = [tx.hash];
+    this.record(jobId, method, tx, 'pending');
+
+    for (let replacement = 0; ; replacement++) {
+      const receipt = await this.waitForAny(hashes);
+
+      if (receipt) {
+        const status = receipt.status === 1 ? 'mined' : 'reverted';
+        this.record(jobId, method, { hash: receipt.hash, nonce: tx.nonce }, status, receipt);
+
+        for (const hash of hashes.filter(hash => hash !== receipt.hash)) {
+          this.record(jobId, method, { hash, nonce: tx.nonce }, 'replaced');
+        }
+
+        if (receipt.status !== 1) {
+          throw new Error(`Transaction ${receipt.hash} for ${label} reverted`);
+        }
+
+        console.log(`Transaction ${receipt.hash} for ${label} mined in block ${receipt.blockNumber}`);
+        return receipt;
+      }
+
+      if (replacement >= config.txMaxReplacements) {
+        this.record(jobId, method, tx, 'stuck');
+        // If the node dropped it, later nonces wait behind the gap, so take the pending nonce from the chain again
+        this.nextNonce = null;
+        throw new Error(`Transaction for ${label} not mined after ${replacement} replacements`);
+      }
+
+      // Speed up: resend with the same nonce and bumped fees
+      fees = this.bumpFees(fees);
+      console.warn(`Transaction ${tx.hash} for ${label} is stuck, replacing with higher fees`);
+
+      try {
+        tx = await this.signAndBroadcast(label, {
+          ...request,
+          ...fees,
+          nonce: tx.nonce
+        });
+        hashes.push(tx.hash);
+        this.record(jobId, method, tx, 'replacement');
+      } catch (error) {
+        // The nonce was used up in the meantime, so one of the earlier attempts was mined
+        if (error.code !== 'NONCE_EXPIRED') throw error;
+      }
+    }
+  }
+
+  /**
+   * Simulate a contract transaction without sending it (dry-run mode)
+   * @param {string} label - Description for logs
+   * @param {ethers.Contract} contract - Contract instance
+   * @param {string} method - Contract method name
+   * @param {Array} args - Method arguments
+   * @returns {Object} - Simulated receipt ({dryRun, status, hash, gasEstimate})
+   * @throws {Error} if the call would revert
+   */
+  async simulate(label, contract, method, args) {
+    await this.withRetries(label, () => contract[method].staticCall(...args));
+    const gasEstimate = await this.withRetries(label, () => contract[method].estimateGas(...args));
+
+    return {
+      dryRun: true,
+      status: 1,
+      hash: null,
+      gasEstimate
+    };
+  }
+
+  /**
+   * Get the recorded transactions for a job
+   * @param {number} jobId - Job ID
+   * @returns {Array<Object>} - Transaction records, oldest first
+   */
+  getJobTransactions(jobId) {
+    return this.records.get(String(jobId), []);
+  }
+
+  /**
+   * Run a send task after all previously queued ones
+   * @param {Function} task - Async task
+   * @returns {Promise} - Task result
+   * @private
+   */
+  enqueueSend(task) {
+    const result = this.sendQueue.then(task);
+    this.sendQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Broadcast a transaction with the next wallet nonce
+   * A new nonce is only taken when the node reports ours as used and our transaction is not known to it
+   * @param {string} label - Description for logs
+   * @param {Object} request - Populated transaction request
+   * @param {Object} fees - Fee fields
+   * @returns {ethers.TransactionResponse} - Sent transaction
+   * @private
+   */
+  async broadcastWithNonce(label, request, fees) {
+    for (let attempt = 0; ; attempt++) {
+      if (this.nextNonce === null) {
+        this.nextNonce = await this.withRetries(label, () => this.provider.getTransactionCount(this.wallet.address, 'pending'));
+      }
+
+      const nonce = this.nextNonce;
+
+      try {
+        const tx = await this.signAndBroadcast(label, {
+          ...request,
+          ...fees,
+          nonce
+        });
+
+        this.nextNonce = nonce + 1;
+        console.log(`Sent transaction ${tx.hash} for ${label} (nonce ${tx.nonce})`);
+        return tx;
+      } catch (error) {
+        // Whatever happened to the nonce, the chain knows better than our counter now
+        this.nextNonce = null;
+
+        // Our nonce is out of sync (e.g. a transaction sent from elsewhere), sign again with the pending one
+        const nonceUsed = error.code === 'NONCE_EXPIRED' || error.code === 'REPLACEMENT_UNDERPRICED';
+        if (!nonceUsed || attempt >= config.txMaxRetries) {
+          throw error;
+        }
+
+        console.warn(`Nonce ${nonce} for ${label} is already used, retrying with the pending nonce`);
+      }
+    }
+  }
+
+  /**
+   * Sign a transaction once and broadcast it
+   * A broadcast that fails (e.g. times out) may still have reached the node, so the transaction is
+   * looked up by hash before anything else, and retries resend the same signed bytes, which can only be mined once
+   * @param {string} label - Description for logs
+   * @param {Object} transaction - Transaction request with nonce and fees
+   * @returns {ethers.TransactionResponse} - Sent transaction
+   * @private
+   */
+  async signAndBroadcast(label, transaction) {
+    const populated = await this.withRetries(label, () => this.wallet.populateTransaction(transaction));
+    const signed = await this.wallet.signTransaction(populated);
+    const hash = ethers.keccak256(signed);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.provider.broadcastTransaction(signed);
+      } catch (error) {
+        const sent = await this.withRetries(label, () => this.provider.getTransaction(hash));
+
+        if (sent) {
+          console.warn(`Broadcasting ${hash} for ${label} failed (${error.code || error.message}), but the node already has it`);
+          return sent;
+        }
+
+        if (attempt >= config.txMaxRetries || !this.isTransient(error)) {
+          throw error;
+        }
+
+        const delay = config.txRetryDelay * 2 ** attempt;
+        console.warn(`Transient error broadcasting ${hash} for ${label} (${error.code || error.message}), resending in ${delay}ms`);
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Estimate the gas limit for a transaction
+   * @param {string} label - Description for logs
+   * @param {Object} request - Populated transaction request
+   * @returns {bigint} - Gas limit including the configured buffer
+   * @throws {Error} if the estimate exceeds the configured ceiling
+   * @private
+   */
+  async estimateGas(label, request) {
+    const estimate = await this.withRetries(label, () => this.wallet.estimateGas(request));
+    const gasLimit = estimate * BigInt(100 + config.txGasBufferPercent) / 100n;
+
+    if (estimate > config.txGasLimitCeiling) {
+      throw new Error(`Gas estimate ${estimate} for ${label} exceeds ceiling ${config.txGasLimitCeiling}`);
+    }
+
+    return gasLimit > config.txGasLimitCeiling ? config.txGasLimitCeiling : gasLimit;
+  }
+
+  /**
+   * Get current fee fields for a transaction
+   * @param {string} label - Description for logs
+   * @returns {Object} - EIP-1559 or legacy fee fields
+   * @private
+   */
+  async getFees(label) {
+    const feeData = await this.withRetries(label, () => this.provider.getFeeData());
+
+    if (feeData.maxFeePerGas !== null) {
+      return {
+        maxFeePerGas: feeData.maxFeePerGas,
+        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+      };
+    }
+
+    return { gasPrice: feeData.gasPrice };
+  }
+
+  /**
+   * Bump fees enough for the node to accept a replacement
+   * @param {Object} fees - Current fee fields
+   * @returns {Object} - Bumped fee fields
+   * @private
+   */
+  bumpFees(fees) {
+    const bump = value => value * BigInt(100 + config.txFeeBumpPercent) / 100n;
+    return Object.fromEntries(Object.entries(fees).map(([key, value]) => [key, bump(value)]));
+  }
+
+  /**
+   * Wait until any of the given transactions is mined
+   * @param {Array<string>} hashes - Hashes of transactions sharing one nonce
+   * @returns {ethers.TransactionReceipt|null} - Receipt, or null on timeout
+   * @private
+   */
+  async waitForAny(hashes) {
+    const deadline = Date.now() + config.txConfirmTimeout;
+
+    while (Date.now() < deadline) {
+      for (const hash of hashes) {
+        try {
+          const receipt = await this.provider.getTransactionReceipt(hash);
+          if (receipt) return receipt;
+        } catch (error) {
+          if (!this.isTransient(error)) throw error;
+          console.warn(`Error checking receipt for ${hash}: ${error.message}`);
+        }
+      }
+
+      await this.sleep(config.txPollInterval);
+    }
+
+    return null;
+  }
+
+  /**
+   * Run an RPC call, retrying transient failures with exponential backoff
+   * @param {string} label - Description for logs
+   * @param {Function} fn - Async function to run
+   * @returns {Promise} - Function result
+   * @private
+   */
+  async withRetries(label, fn) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (attempt >= config.txMaxRetries || !this.isTransient(error)) {
+          throw error;
+        }
+
+        const delay = config.txRetryDelay * 2 ** attempt;
+        console.warn(`Transient error for ${label} (${error.code || error.message}), retrying in ${delay}ms`);
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Check whether an error is a transient RPC failure
+   * @param {Error} error - Error
+   * @returns {boolean} - True if the call can be retried
+   * @private
+   */
+  isTransient(error) {
+    return TRANSIENT_ERROR_CODES.includes(error.code);
+  }
+
+  /**
+   * Record a transaction against its job
+   * @param {number|null} jobId - Job ID (null for transactions not tied to a job)
+   * @param {string} method - Contract method name
+   * @param {Object} tx - Transaction (hash and nonce)
+   * @param {string} status - Status ('pending', 'replacement', 'replaced', 'mined', 'reverted', 'stuck')
+   * @param {ethers.TransactionReceipt} [receipt] - Receipt, once mined
+   * @private
+   */
+  record(jobId, method, tx, status, receipt = null) {
+    const key = jobId !== null ? String(jobId) : 'agent';
+    const records = this.records.get(key, []);
+
+    const entry = {
+      method,
+      hash: tx.hash,
+      nonce: tx.nonce,
+      status,
+      updatedAt: new Date().toISOString()
+    };
+
+    if (receipt) {
+      entry.blockNumber = receipt.blockNumber;
+      entry.gasUsed = receipt.gasUsed.toString();
+    }
+
+    const existing = records.findIndex(record => record.hash === tx.hash);
+    if (existing >= 0) {
+      records[existing] = { ...records[existing], ...entry };
+    } else {
+      records.push(entry);
+    }
+
+    this.records.set(key, records);
+  }
+
+  /**
+   * Wait for a number of milliseconds
+   * @param {number} ms - Milliseconds
+   * @private
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = TransactionManager;
@@ -0,0 +1,191 @@
+// test/deliverables.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const networks = require('../src/networks');
+const encryption = require('../src/encryption');
+const deliverables = require('../src/deliverables');
+const fakeMarketplace = require('../src/fake-marketplace');
+
+const KEY = 'ab'.repeat(32);
+const OTHER_KEY = 'cd'.repeat(32);
+
+const metadata = {
+  sender: '0x1111111111111111111111111111111111111111',
+  recipient: '0x2222222222222222222222222222222222222222',
+  jobId: 7
+};
+
+const BINARY = Buffer.from([0, 159, 146, 150, 255]);
+
+describe('publish / retrieve', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deliverables-'));
+    fs.writeFileSync(path.join(dir, 'large.bin'), Buffer.alloc(200 * 1024, 7));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('round trips text, binary and local files with a manifest', async () => {
+    const fileSet = {
+      message: 'Here is your project',
+      files: [
+        { path: 'bot.js', content: 'console.log("hi");' },
+        { path: 'assets/logo.png', content: BINARY },
+        { path: 'data/large.bin', file: path.join(dir, 'large.bin') }
+      ]
+    };
+
+    const { hash, manifest } = await deliverables.publish(fileSet, KEY, undefined, metadata);
+    const retrieved = await deliverables.retrieve(hash, KEY);
+
+    expect(retrieved.manifest).toEqual(manifest);
+    expect(manifest.message).toBe('Here is your project');
+    expect(manifest.files.map(file => [file.path, file.contentType, file.encoding])).toEqual([
+      ['bot.js', 'text/javascript', undefined],
+      ['assets/logo.png', 'image/png', undefined],
+      ['data/large.bin', 'application/octet-stream', 'chunked']
+    ]);
+    expect(retrieved.files[0].data.toString()).toBe('console.log("hi");');
+    expect(retrieved.files[1].data).toEqual(BINARY);
+    expect(retrieved.files[2].data).toEqual(fs.readFileSync(path.join(dir, 'large.bin')));
+  });
+
+  test('rejects a file that does not match the manifest', async () => {
+    const { manifest } = await deliverables.publish({ files: [
+      { path: 'a.txt', content: 'first' },
+      { path: 'b.txt', content: 'second' }
+    ] }, KEY, undefined, metadata);
+
+    // A manifest pointing a.txt at the content of b.txt
+    const forged = { ...manifest, files: [{ ...manifest.files[0], cid: manifest.files[1].cid }] };
+    const { hash } = await encryption.publishToIpfs(JSON.stringify(forged), KEY, undefined, {
+      ...metadata,
+      contentType: 'application/vnd.eacc.manifest+json'
+    });
+
+    await expect(deliverables.retrieve(hash, KEY)).rejects.toThrow('File a.txt does not match the manifest');
+  });
+
+  test('rejects content that is not a manifest', async () => {
+    const { hash } = await encryption.publishToIpfs('just text', KEY, undefined, metadata);
+
+    await expect(deliverables.retrieve(hash, KEY)).rejects.toThrow('is not a file set manifest');
+  });
+
+  test('rejects the wrong key', async () => {
+    const { hash } = await deliverables.publish({ files: [{ path: 'a.txt', content: 'a' }] }, KEY, undefined, metadata);
+
+    await expect(deliverables.retrieve(hash, OTHER_KEY)).rejects.toThrow();
+  });
+
+  test.each([
+    ['an empty file set', { files: [] }],
+    ['a file without content', { files: [{ path: 'a.txt' }] }],
+    ['duplicate paths', { files: [{ path: 'a.txt', content: 'a' }, { path: 'a.txt', content: 'b' }] }],
+    ['a path leaving the deliverable', { files: [{ path: '../a.txt', content: 'a' }] }]
+  ])('refuses to publish %s', async (_, fileSet) => {
+    await expect(deliverables.publish(fileSet, KEY, undefined, metadata)).rejects.toThrow();
+  });
+});
+
+describe('resolvePath', () => {
+  const root = path.resolve('out');
+
+  test('resolves relative paths inside the directory', () => {
+    expect(deliverables.resolvePath('out', 'src/bot.js')).toBe(path.join(root, 'src', 'bot.js'));
+    expect(deliverables.resolvePath('out', 'a/../b.txt')).toBe(path.join(root, 'b.txt'));
+  });
+
+  test.each([
+    ['/etc/passwd'],
+    ['../outside.txt'],
+    ['src/../../outside.txt'],
+    ['.'],
+    ['']
+  ])('rejects %p', filePath => {
+    expect(() => deliverables.resolvePath('out', filePath)).toThrow('Invalid file path');
+  });
+});
+
+describe('toText', () => {
+  test('inlines the message, text files and base64 binary files', () => {
+    const text = deliverables.toText({
+      message: 'Here is your project',
+      files: [
+        { path: 'bot.js', content: 'console.log("hi");' },
+        { path: 'logo.png', content: BINARY }
+      ]
+    });
+
+    expect(text).toBe([
+      'Here is your project',
+      '===== bot.js =====\nconsole.log("hi");',
+      `===== logo.png (base64) =====\n${BINARY.toString('base64')}`
+    ].join('\n\n'));
+  });
+});
+
+describe('deliverResult', () => {
+  let connector;
+  let creator;
+
+  /**
+   * Create a job taken by the agent
+   * @returns {Promise<Job>} - Job
+   */
+  async function createTakenJob() {
+    const jobId = fakeMarketplace.createJob({ title: 'Deliverable test', content: 'Details' }, creator);
+    await connector.takeJob(jobId);
+    return connector.getJob(jobId);
+  }
+
+  /**
+   * Session key the creator shares with the agent for a job
+   * @param {Job} job - Job
+   * @returns {Promise<string>} - Session key
+   */
+  async function creatorSessionKey(job) {
+    return encryption.getSessionKey(creator, await encryption.getEncryptionPublicKey(connector.wallet), job.id);
+  }
+
+  const fileSet = { message: 'Done', files: [{ path: 'bot.js', content: 'console.log("hi");' }] };
+
+  beforeAll(async () => {
+    connector = networks.getDefault();
+    await connector.initialize();
+    creator = fakeMarketplace.createUser('Creator');
+  });
+
+  test('flattens file sets into a raw-format text result by default', async () => {
+    const job = await createTakenJob();
+
+    expect(await connector.deliverResult(job.id, fileSet)).toBe(true);
+
+    const { resultHash } = await connector.getJob(job.id);
+    const published = fakeMarketplace.getFromIpfs(encryption.hashToCid(resultHash)).toString('utf8');
+    const result = encryption.decryptData(Buffer.from(published, 'base64'), await creatorSessionKey(job)).toString('utf8');
+    expect(result).toBe(deliverables.toText(fileSet));
+  });
+
+  test('delivers file sets as separate files with envelopes enabled', async () => {
+    const job = await createTakenJob();
+
+    config.encryptionEnvelope = true;
+    try {
+      expect(await connector.deliverResult(job.id, fileSet)).toBe(true);
+    } finally {
+      config.encryptionEnvelope = false;
+    }
+
+    const { resultHash } = await connector.getJob(job.id);
+    const { manifest, files } = await deliverables.retrieve(encryption.hashToCid(resultHash), await creatorSessionKey(job));
+    expect(manifest.message).toBe('Done');
+    expect(files.map(file => [file.path, file.data.toString()])).toEqual([['bot.js', 'console.log("hi");']]);
+  });
+});
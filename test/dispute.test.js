@@ -0,0 +1,33 @@
+// test/dispute.test.js
+const DiscordBotAgent = require('../src/agents/discord-bot');
+
+const CREATOR = '0x1111111111111111111111111111111111111111';
+const WORKER = '0x2222222222222222222222222222222222222222';
+const ANSWERED = 'Every message from the job creator was answered in the job thread.';
+
+describe('DiscordBotAgent.onDispute', () => {
+  const agent = new DiscordBotAgent();
+  const job = { key: 'test:1' };
+
+  /**
+   * Dispute statement for a thread written by the given senders
+   * @param {Array<string>} senders - Sender of each thread message, in order
+   * @returns {Promise<string>} - Statement for the arbitrator
+   */
+  function statementFor(senders) {
+    const thread = senders.map((sender, index) => ({ index, sender, text: `message ${index}` }));
+    return agent.onDispute(job, { creator: CREATOR, worker: WORKER, thread });
+  }
+
+  test('claims the creator was answered when the agent replied after their last message', async () => {
+    expect(await statementFor([WORKER, CREATOR, WORKER, CREATOR, WORKER.toLowerCase()])).toContain(ANSWERED);
+  });
+
+  test.each([
+    ['the last creator message is unanswered', [WORKER, CREATOR, WORKER, CREATOR]],
+    ['the creator never wrote', [WORKER, WORKER]],
+    ['the thread is empty', []]
+  ])('makes no claim when %s', async (_, senders) => {
+    expect(await statementFor(senders)).not.toContain(ANSWERED);
+  });
+});
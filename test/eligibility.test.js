@@ -0,0 +1,128 @@
+// test/eligibility.test.js
+const { ethers } = require('ethers');
+const config = require('../src/config');
+const networks = require('../src/networks');
+const agentManager = require('../src/agent-manager');
+const fakeMarketplace = require('../src/fake-marketplace');
+const { JobState } = require('../src/job');
+
+const JOB_FIELDS = {
+  title: 'Discord bot for community moderation',
+  tags: ['discord', 'bot'],
+  content: 'Looking for a Discord bot with slash commands and moderation.',
+  amount: '20000000000000000',
+  maxTime: 3 * 24 * 60 * 60
+};
+
+describe('checkEligibility', () => {
+  let connector;
+
+  /**
+   * Create a fake marketplace job and read it back through the connector
+   * @param {Object} [fields] - Job fields to override
+   * @param {ethers.Wallet} [creator] - Creator wallet
+   * @returns {Promise<Job>} - Job
+   */
+  async function createJob(fields = {}, creator = null) {
+    return connector.getJob(fakeMarketplace.createJob({ ...JOB_FIELDS, ...fields }, creator));
+  }
+
+  beforeAll(async () => {
+    connector = networks.getDefault();
+    await connector.initialize();
+  });
+
+  test('accepts an open job with registered parties', async () => {
+    const job = await createJob({ arbitrator: true });
+
+    expect(await connector.checkEligibility(job)).toEqual({ eligible: true, reason: null, message: 'eligible' });
+  });
+
+  test.each([
+    ['not_open', async () => {
+      const job = await createJob();
+      fakeMarketplace.jobs[job.id].state = JobState.Closed;
+      return connector.getJob(job.id);
+    }],
+    ['own_job', () => createJob({}, connector.wallet)],
+    ['not_whitelisted', () => createJob({ whitelistWorkers: true })],
+    ['collateral_owed', () => createJob({ collateralOwed: '1' })],
+    ['arbitrator_unregistered', () => createJob({ arbitrator: ethers.Wallet.createRandom().address })],
+    ['creator_key_missing', () => createJob({}, ethers.Wallet.createRandom())]
+  ])('rejects with %s', async (reason, getJob) => {
+    const result = await connector.checkEligibility(await getJob());
+
+    expect(result.eligible).toBe(false);
+    expect(result.reason).toBe(reason);
+  });
+
+  test('accepts whitelisted workers', async () => {
+    const job = await createJob({ whitelistWorkers: true, whitelist: [connector.wallet.address] });
+
+    expect((await connector.checkEligibility(job)).eligible).toBe(true);
+  });
+
+  test('requires an arbitrator only when configured', async () => {
+    const job = await createJob();
+    expect((await connector.checkEligibility(job)).eligible).toBe(true);
+
+    config.requireArbitrator = true;
+    try {
+      expect((await connector.checkEligibility(job)).reason).toBe('arbitrator_missing');
+    } finally {
+      config.requireArbitrator = false;
+    }
+  });
+
+  test('rejects every job while our registered key does not match the signer', async () => {
+    const job = await createJob();
+
+    connector.registeredKeyValid = false;
+    try {
+      expect((await connector.checkEligibility(job)).reason).toBe('key_mismatch');
+    } finally {
+      connector.registeredKeyValid = true;
+    }
+  });
+});
+
+describe('processJob', () => {
+  let connector;
+
+  beforeAll(async () => {
+    await agentManager.initialize();
+    connector = networks.getDefault();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('does not apply for ineligible jobs', async () => {
+    const job = await connector.getJob(fakeMarketplace.createJob({ ...JOB_FIELDS, whitelistWorkers: true }));
+    const apply = jest.spyOn(connector, 'applyForJob');
+
+    await agentManager.processJob(job);
+
+    expect(apply).not.toHaveBeenCalled();
+  });
+
+  test('does not work on a single-applicant job it failed to take', async () => {
+    const job = await connector.getJob(fakeMarketplace.createJob(JOB_FIELDS));
+    jest.spyOn(connector, 'takeJob').mockResolvedValue(false);
+
+    await agentManager.processJob(job);
+
+    expect(agentManager.agents.get('discord-bot').getActiveJob(job.key)).toBeFalsy();
+  });
+
+  test('tracks jobs with multiple applicants until the creator picks a worker', async () => {
+    const job = await connector.getJob(fakeMarketplace.createJob({ ...JOB_FIELDS, multipleApplicants: true }));
+    const take = jest.spyOn(connector, 'takeJob');
+
+    await agentManager.processJob(job);
+
+    expect(take).not.toHaveBeenCalled();
+    expect(agentManager.agents.get('discord-bot').getActiveJob(job.key)).toBeTruthy();
+  });
+});
@@ -0,0 +1,68 @@
+// test/end-to-end.test.js
+const agentManager = require('../src/agent-manager');
+const networks = require('../src/networks');
+const encryption = require('../src/encryption');
+const fakeMarketplace = require('../src/fake-marketplace');
+const { JobState } = require('../src/job');
+
+describe('end-to-end run against the fake marketplace', () => {
+  let connector;
+  let creator;
+  let job;
+
+  /**
+   * Session key the creator shares with the agent for the job
+   * @returns {Promise<string>} - Session key
+   */
+  async function creatorSessionKey() {
+    return encryption.getSessionKey(creator, await encryption.getEncryptionPublicKey(connector.wallet), job.id);
+  }
+
+  beforeAll(async () => {
+    await agentManager.initialize();
+    connector = networks.getDefault();
+
+    creator = fakeMarketplace.createUser('Creator');
+    const jobId = fakeMarketplace.createJob({
+      title: 'Discord bot for community moderation',
+      tags: ['discord', 'bot'],
+      content: 'Looking for a Discord bot with slash commands, moderation (ban, kick, mute) and reaction roles.',
+      amount: '20000000000000000',
+      maxTime: 3 * 24 * 60 * 60
+    }, creator);
+    job = await connector.getJob(jobId);
+  });
+
+  test('applies for and takes the job', async () => {
+    await agentManager.processJob(job);
+
+    const current = await connector.getJob(job.id);
+    expect(current.state).toBe(JobState.Taken);
+    expect(current.roles.worker).toBe(connector.wallet.address);
+
+    // The creator can read the application in the thread
+    const [application] = fakeMarketplace.threads.get(job.id);
+    expect(application.sender).toBe(connector.wallet.address);
+    expect(application.recipient).toBe(creator.address);
+
+    const text = await encryption.getFromIpfs(encryption.hashToCid(application.contentHash), await creatorSessionKey());
+    expect(text.length).toBeGreaterThan(0);
+  });
+
+  test('executes and delivers the job', async () => {
+    await agentManager.processActiveJobs();
+
+    const current = await connector.getJob(job.id);
+    expect(current.hasResult).toBe(true);
+
+    // The bot files are delivered as one raw-format text result, as read by the EACC web app
+    const cid = encryption.hashToCid(current.resultHash);
+    const published = fakeMarketplace.getFromIpfs(cid).toString('utf8');
+    const result = encryption.decryptData(Buffer.from(published, 'base64'), await creatorSessionKey()).toString('utf8');
+    expect(result).toContain('===== bot.js =====');
+    expect(result).toContain('discord.js');
+
+    const agent = agentManager.agents.get('discord-bot');
+    expect(agent.getActiveJob(current.key).status).toBe('delivered');
+  });
+});
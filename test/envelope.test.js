@@ -0,0 +1,100 @@
+// test/envelope.test.js
+const encryption = require('../src/encryption');
+const fakeMarketplace = require('../src/fake-marketplace');
+
+const KEY = 'ab'.repeat(32);
+const OTHER_KEY = 'cd'.repeat(32);
+
+const metadata = {
+  sender: '0x1111111111111111111111111111111111111111',
+  recipient: '0x2222222222222222222222222222222222222222',
+  jobId: 7
+};
+
+describe('encryptData / decryptData', () => {
+  test('round trips text and binary data', () => {
+    const text = 'Hello, creator! 👋';
+    const binary = Buffer.from([0, 1, 2, 255, 254]);
+
+    expect(encryption.decryptData(encryption.encryptUtf8Data(text, KEY), KEY).toString('utf8')).toBe(text);
+    expect(encryption.decryptData(encryption.encryptData(binary, KEY), KEY)).toEqual(binary);
+  });
+
+  test('rejects the wrong key', () => {
+    const encrypted = encryption.encryptUtf8Data('secret', KEY);
+
+    expect(() => encryption.decryptData(encrypted, OTHER_KEY)).toThrow();
+  });
+});
+
+describe('openEnvelope', () => {
+  test('decodes the raw IV|authTag|ciphertext format', () => {
+    const legacy = encryption.encryptUtf8Data('legacy message', KEY).toString('base64');
+
+    const { content, envelope } = encryption.openEnvelope(legacy, KEY);
+
+    expect(content).toBe('legacy message');
+    expect(envelope).toBeNull();
+  });
+
+  test('round trips an envelope and returns its header', () => {
+    const envelope = JSON.stringify(encryption.createEnvelope('hello', KEY, { ...metadata, filename: 'note.txt' }));
+
+    const opened = encryption.openEnvelope(envelope, KEY);
+
+    expect(opened.content).toBe('hello');
+    expect(opened.envelope).toMatchObject({
+      version: 1,
+      algorithm: 'aes-256-gcm',
+      sender: metadata.sender,
+      recipient: metadata.recipient,
+      jobId: '7',
+      contentType: 'text/plain',
+      filename: 'note.txt'
+    });
+  });
+
+  test.each([
+    ['sender', '0x3333333333333333333333333333333333333333'],
+    ['recipient', '0x3333333333333333333333333333333333333333'],
+    ['jobId', '8'],
+    ['contentType', 'text/html'],
+    ['filename', 'other.txt']
+  ])('rejects an envelope whose %s was altered', (field, value) => {
+    const envelope = encryption.createEnvelope('hello', KEY, { ...metadata, filename: 'note.txt' });
+
+    expect(() => encryption.openEnvelope({ ...envelope, [field]: value }, KEY)).toThrow();
+  });
+
+  test('rejects a tampered ciphertext', () => {
+    const envelope = encryption.createEnvelope('hello', KEY, metadata);
+    const ciphertext = Buffer.from(envelope.ciphertext, 'base64');
+    ciphertext[ciphertext.length - 1] ^= 1;
+
+    expect(() => encryption.openEnvelope({ ...envelope, ciphertext: ciphertext.toString('base64') }, KEY)).toThrow();
+  });
+
+  test('rejects newer envelope versions', () => {
+    const envelope = encryption.createEnvelope('hello', KEY, metadata);
+
+    expect(() => encryption.openEnvelope({ ...envelope, version: 2 }, KEY)).toThrow('Unsupported envelope version 2');
+  });
+});
+
+describe('publishToIpfs', () => {
+  test('writes the raw base64 format read by the EACC web app without metadata', async () => {
+    const { hash } = await encryption.publishToIpfs('for the web app', KEY);
+    const published = fakeMarketplace.getFromIpfs(hash).toString('utf8');
+
+    expect(published).toMatch(/^[A-Za-z0-9+/]+=*$/);
+    expect(encryption.decryptData(Buffer.from(published, 'base64'), KEY).toString('utf8')).toBe('for the web app');
+  });
+
+  test('writes an envelope with metadata', async () => {
+    const { hash } = await encryption.publishToIpfs('enveloped', KEY, undefined, metadata);
+    const published = JSON.parse(fakeMarketplace.getFromIpfs(hash).toString('utf8'));
+
+    expect(published).toMatchObject({ version: 1, sender: metadata.sender, jobId: '7' });
+    expect(await encryption.getFromIpfs(hash, KEY)).toBe('enveloped');
+  });
+});
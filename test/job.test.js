@@ -0,0 +1,100 @@
+// test/job.test.js
+const { ethers } = require('ethers');
+const { Job, JobState } = require('../src/job');
+const { MarketplaceV1ABI } = require('../src/contracts/abi');
+
+const CREATOR = '0x1111111111111111111111111111111111111111';
+const ARBITRATOR = '0x2222222222222222222222222222222222222222';
+const TOKEN = '0x3333333333333333333333333333333333333333';
+
+/**
+ * Encode and decode a job post the way `getJob` returns it from the chain
+ * @param {Object} [overrides] - Job post fields to override
+ * @returns {ethers.Result} - Decoded `getJob` tuple
+ */
+function getJobResult(overrides = {}) {
+  const post = {
+    state: JobState.Taken,
+    whitelistWorkers: true,
+    roles: { creator: CREATOR, arbitrator: ARBITRATOR, worker: ethers.ZeroAddress },
+    title: 'Build a Discord bot',
+    tags: ['discord', 'bot'],
+    contentHash: ethers.id('content'),
+    multipleApplicants: false,
+    amount: 50000000n,
+    token: TOKEN,
+    timestamp: 1700000000,
+    maxTime: 86400,
+    deliveryMethod: 'ipfs',
+    collateralOwed: 0n,
+    escrowId: 12n,
+    resultHash: ethers.ZeroHash,
+    rating: 0,
+    disputed: false,
+    ...overrides
+  };
+
+  const iface = new ethers.Interface(MarketplaceV1ABI);
+  return iface.decodeFunctionResult('getJob', iface.encodeFunctionResult('getJob', [post]))[0];
+}
+
+describe('Job.fromResult', () => {
+  test('decodes every field of the getJob tuple', () => {
+    const job = Job.fromResult(7n, getJobResult(), 'arbitrum');
+
+    expect(job).toMatchObject({
+      id: 7,
+      network: 'arbitrum',
+      state: JobState.Taken,
+      whitelistWorkers: true,
+      roles: { creator: CREATOR, arbitrator: ARBITRATOR, worker: ethers.ZeroAddress },
+      title: 'Build a Discord bot',
+      tags: ['discord', 'bot'],
+      contentHash: ethers.id('content'),
+      multipleApplicants: false,
+      amount: 50000000n,
+      token: TOKEN,
+      timestamp: new Date(1700000000 * 1000),
+      maxTime: 86400,
+      deliveryMethod: 'ipfs',
+      collateralOwed: 0n,
+      escrowId: 12n,
+      resultHash: ethers.ZeroHash,
+      rating: 0,
+      disputed: false
+    });
+    expect(Array.isArray(job.tags)).toBe(true);
+    expect(job.key).toBe('arbitrum:7');
+    expect(job.stateName).toBe('Taken');
+  });
+
+  test('falls back to a generated title', () => {
+    expect(Job.fromResult(3, getJobResult({ title: '' })).title).toBe('Job #3');
+  });
+
+  test('reports the worker and delivered result', () => {
+    const open = Job.fromResult(1, getJobResult());
+    const delivered = Job.fromResult(1, getJobResult({ roles: { creator: CREATOR, arbitrator: ARBITRATOR, worker: TOKEN }, resultHash: ethers.id('result') }));
+
+    expect(open.hasWorker).toBe(false);
+    expect(open.hasResult).toBe(false);
+    expect(delivered.hasWorker).toBe(true);
+    expect(delivered.hasResult).toBe(true);
+  });
+
+  test('formats the amount once token metadata is known', () => {
+    const job = Job.fromResult(1, getJobResult());
+
+    expect(job.formattedAmount).toBe(`50000000 (token ${TOKEN})`);
+
+    job.tokenSymbol = 'USDC';
+    job.tokenDecimals = 6;
+    expect(job.formattedAmount).toBe('50.0 USDC');
+    expect(job.isNativeToken).toBe(false);
+    expect(Job.fromResult(1, getJobResult({ token: ethers.ZeroAddress })).isNativeToken).toBe(true);
+  });
+
+  test('names unknown states', () => {
+    expect(Job.fromResult(1, getJobResult({ state: 9 })).stateName).toBe('Unknown(9)');
+  });
+});
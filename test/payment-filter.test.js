@@ -0,0 +1,95 @@
+// test/payment-filter.test.js
+const { ethers } = require('ethers');
+const config = require('../src/config');
+const EACCConnector = require('../src/connector');
+const { Job } = require('../src/job');
+
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const FAKE_USDC = '0x1111111111111111111111111111111111111111';
+
+/**
+ * Create a connector for a network with the given payment filters
+ * @param {Object} filters - {allowedTokens, minJobBudgets} as written in the configuration
+ * @returns {EACCConnector} - Connector (not initialized)
+ */
+function createConnector({ allowedTokens = [], minJobBudgets = {} }) {
+  const saved = { allowedTokens: config.allowedTokens, minJobBudgets: config.minJobBudgets };
+  Object.assign(config, { allowedTokens, minJobBudgets });
+
+  try {
+    return new EACCConnector(config.createNetwork({ name: 'test', tokens: { USDC } }));
+  } finally {
+    Object.assign(config, saved);
+  }
+}
+
+/**
+ * Create a job paying the given amount
+ * @param {string} token - Token address
+ * @param {bigint} amount - Amount in token units
+ * @param {Object} [metadata] - Token metadata reported by the token contract ({tokenSymbol, tokenDecimals})
+ * @returns {Job} - Job
+ */
+function createJob(token, amount, metadata = { tokenSymbol: 'USDC', tokenDecimals: 6 }) {
+  return new Job({ id: 1, token, amount, roles: {}, ...metadata });
+}
+
+describe('parseBudget', () => {
+  const connector = createConnector({});
+
+  test.each([
+    ['10', 6, 10000000n],
+    ['0.5', 6, 500000n],
+    ['0.000001', 6, 1n],
+    ['3', 0, 3n],
+    ['0.02', 18, 20000000000000000n]
+  ])('parses %s with %i decimals', (amount, decimals, expected) => {
+    expect(connector.parseBudget(amount, decimals)).toBe(expected);
+  });
+
+  test('rounds digits beyond the token precision up', () => {
+    expect(connector.parseBudget('0.0000011', 6)).toBe(2n);
+    expect(connector.parseBudget('1.5', 0)).toBe(2n);
+  });
+
+  test('ignores trailing zeros beyond the token precision', () => {
+    expect(connector.parseBudget('1.0000000', 6)).toBe(1000000n);
+  });
+});
+
+describe('isAcceptedPayment', () => {
+  test('accepts any token without filters', () => {
+    const connector = createConnector({});
+
+    expect(connector.isAcceptedPayment(createJob(FAKE_USDC, 1n))).toBe(true);
+  });
+
+  test('matches allowed symbols by their configured address, not the reported symbol', () => {
+    const connector = createConnector({ allowedTokens: ['usdc'] });
+
+    expect(connector.isAcceptedPayment(createJob(USDC, 1n))).toBe(true);
+    expect(connector.isAcceptedPayment(createJob(USDC.toLowerCase(), 1n))).toBe(true);
+    expect(connector.isAcceptedPayment(createJob(FAKE_USDC, 1n))).toBe(false);
+  });
+
+  test('allows native ETH by symbol', () => {
+    const connector = createConnector({ allowedTokens: ['eth'] });
+
+    expect(connector.isAcceptedPayment(createJob(ethers.ZeroAddress, 1n, { tokenSymbol: 'ETH', tokenDecimals: 18 }))).toBe(true);
+    expect(connector.isAcceptedPayment(createJob(USDC, 1n))).toBe(false);
+  });
+
+  test('enforces minimum budgets in token units', () => {
+    const connector = createConnector({ minJobBudgets: { usdc: '10' } });
+
+    expect(connector.isAcceptedPayment(createJob(USDC, 10000000n))).toBe(true);
+    expect(connector.isAcceptedPayment(createJob(USDC, 9999999n))).toBe(false);
+    expect(connector.isAcceptedPayment(createJob(FAKE_USDC, 1n))).toBe(true);
+  });
+
+  test('skips jobs whose token decimals are unknown when a minimum applies', () => {
+    const connector = createConnector({ minJobBudgets: { usdc: '10' } });
+
+    expect(connector.isAcceptedPayment(createJob(USDC, 10n ** 30n, { tokenSymbol: null, tokenDecimals: null }))).toBe(false);
+  });
+});
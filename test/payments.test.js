@@ -0,0 +1,52 @@
+// test/payments.test.js
+const payments = require('../src/payments');
+const { Job, JobState, JobEventType } = require('../src/job');
+
+/**
+ * Payment status of a job with the given event history
+ * @param {Array<number>} types - Job event types, oldest first
+ * @param {Object} [fields] - Current job fields
+ * @returns {Promise<string>} - Payment status
+ */
+function statusFor(types, fields = {}) {
+  const connector = { getJobEvents: async () => types.map(type => ({ type })) };
+  const job = new Job({ id: 1, state: JobState.Taken, disputed: false, roles: {}, ...fields });
+
+  return payments.getStatus(connector, job);
+}
+
+describe('getStatus', () => {
+  test('awaits approval after delivery', async () => {
+    expect(await statusFor([JobEventType.Created, JobEventType.Taken, JobEventType.Delivered])).toBe('awaiting_approval');
+  });
+
+  test.each([
+    ['released', 'Completed'],
+    ['refunded', 'Refunded'],
+    ['refunded', 'Closed'],
+    ['arbitrated', 'Arbitrated']
+  ])('is %s by a %s event after delivery', async (status, event) => {
+    const types = [JobEventType.Taken, JobEventType.Delivered, JobEventType.Rated, JobEventType[event]];
+
+    expect(await statusFor(types)).toBe(status);
+  });
+
+  test('ignores settlements from before the latest delivery', async () => {
+    const types = [JobEventType.Delivered, JobEventType.Arbitrated, JobEventType.Taken, JobEventType.Delivered];
+
+    expect(await statusFor(types)).toBe('awaiting_approval');
+  });
+
+  test('is disputed while the job is disputed and unsettled', async () => {
+    const types = [JobEventType.Delivered, JobEventType.Disputed];
+
+    expect(await statusFor(types, { disputed: true })).toBe('disputed');
+    expect(await statusFor([...types, JobEventType.Arbitrated], { disputed: true })).toBe('arbitrated');
+  });
+
+  test('treats a job reopened after delivery as refunded', async () => {
+    const types = [JobEventType.Delivered, JobEventType.Reopened];
+
+    expect(await statusFor(types, { state: JobState.Open })).toBe('refunded');
+  });
+});
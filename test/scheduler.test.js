@@ -0,0 +1,70 @@
+// test/scheduler.test.js
+const scheduler = require('../src/scheduler');
+const { Job, JobState } = require('../src/job');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Create a job with the given time limit
+ * @param {number} maxTime - Time limit in seconds
+ * @param {Object} [fields] - Other job fields
+ * @returns {Job} - Job
+ */
+function createJob(maxTime, fields = {}) {
+  return new Job({ id: 1, state: JobState.Open, maxTime, roles: {}, ...fields });
+}
+
+describe('parseDuration', () => {
+  test.each([
+    ['24 hours', 24 * HOUR],
+    ['1 day', DAY],
+    ['3-4 days', 4 * DAY],
+    ['2 to 3 weeks', 3 * 7 * DAY],
+    ['45 min', 45 * 60 * 1000],
+    ['1.5 hrs', 1.5 * HOUR],
+    ['About 2 Days', 2 * DAY],
+    [3600, HOUR]
+  ])('parses %p', (estimate, expected) => {
+    expect(scheduler.parseDuration(estimate)).toBe(expected);
+  });
+
+  test.each([
+    ['soon'],
+    ['3 fortnights'],
+    [''],
+    [null],
+    [NaN]
+  ])('returns null for %p', estimate => {
+    expect(scheduler.parseDuration(estimate)).toBeNull();
+  });
+});
+
+describe('fitsTimeLimit', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('accepts estimates up to the time limit', () => {
+    expect(scheduler.fitsTimeLimit(createJob(24 * 60 * 60), '24 hours')).toBe(true);
+    expect(scheduler.fitsTimeLimit(createJob(3 * 24 * 60 * 60), '1-2 days')).toBe(true);
+  });
+
+  test('rejects estimates longer than the time limit', () => {
+    expect(scheduler.fitsTimeLimit(createJob(24 * 60 * 60), '3-4 days')).toBe(false);
+    expect(scheduler.fitsTimeLimit(createJob(60 * 60), '2 hours')).toBe(false);
+  });
+
+  test('accepts any estimate when the job has no time limit', () => {
+    expect(scheduler.fitsTimeLimit(createJob(0), '3 weeks')).toBe(true);
+  });
+
+  test('accepts unparseable estimates with a warning', () => {
+    expect(scheduler.fitsTimeLimit(createJob(60), 'when it is ready')).toBe(true);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,52 @@
+// test/session-keys.test.js
+const { ethers } = require('ethers');
+const encryption = require('../src/encryption');
+
+describe('getSessionKey', () => {
+  test('derives the same key on both sides of a job', async () => {
+    const agent = ethers.Wallet.createRandom();
+    const creator = ethers.Wallet.createRandom();
+    const agentPublicKey = await encryption.getEncryptionPublicKey(agent);
+    const creatorPublicKey = await encryption.getEncryptionPublicKey(creator);
+
+    const agentKey = await encryption.getSessionKey(agent, creatorPublicKey, 12);
+    const creatorKey = await encryption.getSessionKey(creator, agentPublicKey, 12);
+
+    expect(agentKey).toMatch(/^[0-9a-f]{64}$/);
+    expect(agentKey).toBe(creatorKey);
+    expect(await encryption.getSessionKey(agent, creatorPublicKey, 13)).not.toBe(agentKey);
+  });
+
+  test('registers a compressed key derived from a signature, not the signer key', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const publicKey = await encryption.getEncryptionPublicKey(wallet);
+    const derived = new ethers.SigningKey(ethers.keccak256(wallet.signMessageSync(encryption.ENCRYPTION_KEY_MESSAGE)));
+
+    expect(encryption.isValidPublicKey(publicKey)).toBe(true);
+    expect(publicKey).toBe(derived.compressedPublicKey);
+    expect(publicKey).not.toBe(wallet.signingKey.compressedPublicKey);
+  });
+
+  test('keeps using the signer key of a registration made before ECDH', async () => {
+    const agent = ethers.Wallet.createRandom();
+    const creator = ethers.Wallet.createRandom();
+    const legacyKey = agent.signingKey.compressedPublicKey;
+
+    expect(await encryption.useRegisteredKey(agent, legacyKey)).toBe(true);
+
+    const agentKey = await encryption.getSessionKey(agent, await encryption.getEncryptionPublicKey(creator), 3);
+    const creatorKey = await encryption.getSessionKey(creator, legacyKey, 3);
+
+    expect(agentKey).toBe(creatorKey);
+  });
+
+  test('reports a registration made with another key', async () => {
+    const wallet = ethers.Wallet.createRandom();
+
+    expect(await encryption.useRegisteredKey(wallet, ethers.Wallet.createRandom().signingKey.compressedPublicKey)).toBe(false);
+  });
+
+  test('rejects an invalid counterparty key', async () => {
+    await expect(encryption.getSessionKey(ethers.Wallet.createRandom(), '0x1234', 1)).rejects.toThrow('Invalid public key');
+  });
+});
@@ -0,0 +1,8 @@
+// test/setup.js
+// Offline configuration for the specs: the fake marketplace keeps all state in memory
+process.env.FAKE_MARKETPLACE = 'true';
+process.env.ENABLED_AGENTS = 'discord-bot';
+process.env.DISCORD_TOKEN = 'test';
+process.env.TX_RETRY_DELAY = '1';
+process.env.TX_POLL_INTERVAL = '1';
+process.env.TX_CONFIRM_TIMEOUT = '20';
@@ -0,0 +1,154 @@
+// test/stream.test.js
+const { Readable } = require('stream');
+const { EncryptStream, DecryptStream, decryptChunked, isChunked } = require('../src/encryption/stream');
+
+const KEY = 'ab'.repeat(32);
+const CHUNK_SIZE = 16;
+const TAG_LENGTH = 16;
+
+const metadata = {
+  sender: '0x1111111111111111111111111111111111111111',
+  recipient: '0x2222222222222222222222222222222222222222',
+  jobId: '7',
+  contentType: 'application/octet-stream',
+  filename: 'a.bin'
+};
+
+/**
+ * Run data through a transform stream in pieces of the given size
+ * @param {Transform} transform - Stream to run
+ * @param {Buffer} data - Input
+ * @param {number} pieceSize - Bytes per write
+ * @returns {Promise<Buffer>} - Output
+ */
+async function run(transform, data, pieceSize = 5) {
+  const pieces = [];
+  for (let offset = 0; offset < data.length; offset += pieceSize) {
+    pieces.push(data.subarray(offset, offset + pieceSize));
+  }
+
+  const output = [];
+  for await (const chunk of Readable.from(pieces).pipe(transform)) {
+    output.push(chunk);
+  }
+
+  return Buffer.concat(output);
+}
+
+/**
+ * Encrypt data into the chunked format
+ * @param {Buffer} data - Plaintext
+ * @returns {Promise<Buffer>} - Chunked data
+ */
+function encrypt(data) {
+  return run(new EncryptStream(KEY, metadata, CHUNK_SIZE), data);
+}
+
+/**
+ * Split chunked data into its prefix (magic, length and header) and records
+ * @param {Buffer} data - Chunked data
+ * @returns {Object} - {prefix, records}
+ */
+function split(data) {
+  const offset = 12 + data.readUInt32BE(8);
+  const records = [];
+
+  for (let position = offset; position < data.length; position += CHUNK_SIZE + TAG_LENGTH) {
+    records.push(data.subarray(position, position + CHUNK_SIZE + TAG_LENGTH));
+  }
+
+  return { prefix: data.subarray(0, offset), records };
+}
+
+describe('chunked encryption', () => {
+  test.each([
+    ['empty input', 0],
+    ['less than one chunk', 5],
+    ['exactly one chunk', CHUNK_SIZE],
+    ['an exact multiple of the chunk size', CHUNK_SIZE * 3],
+    ['a partial last chunk', CHUNK_SIZE * 3 + 7]
+  ])('round trips %s', async (name, length) => {
+    const plaintext = Buffer.from(Array.from({ length }, (value, index) => index % 256));
+    const encrypted = await encrypt(plaintext);
+
+    expect(isChunked(encrypted)).toBe(true);
+    expect(split(encrypted).records).toHaveLength(Math.max(1, Math.ceil(length / CHUNK_SIZE)));
+    expect(decryptChunked(encrypted, KEY).data).toEqual(plaintext);
+    expect(await run(new DecryptStream(KEY), encrypted, 7)).toEqual(plaintext);
+  });
+
+  test('emits the header before the plaintext', async () => {
+    const encrypted = await encrypt(Buffer.from('hello'));
+    const decrypt = new DecryptStream(KEY);
+    let header = null;
+    decrypt.on('header', parsed => { header = parsed; });
+
+    await run(decrypt, encrypted);
+
+    expect(header).toMatchObject({ ...metadata, chunkSize: CHUNK_SIZE });
+    expect(decryptChunked(encrypted, KEY).header).toEqual(header);
+  });
+
+  describe('rejects', () => {
+    let plaintext;
+    let encrypted;
+
+    beforeAll(async () => {
+      plaintext = Buffer.alloc(CHUNK_SIZE * 3, 'x');
+      encrypted = await encrypt(plaintext);
+    });
+
+    /**
+     * Expect both decoders to reject data
+     * @param {Buffer} data - Chunked data
+     * @param {string} [key] - Decryption key
+     */
+    async function expectRejected(data, key = KEY) {
+      expect(() => decryptChunked(data, key)).toThrow();
+      await expect(run(new DecryptStream(key), data)).rejects.toThrow();
+    }
+
+    test('a tampered chunk', async () => {
+      const tampered = Buffer.from(encrypted);
+      tampered[tampered.length - TAG_LENGTH - 1] ^= 1;
+
+      await expectRejected(tampered);
+    });
+
+    test('a tampered header', async () => {
+      const tampered = Buffer.from(encrypted.toString('latin1').replace('a.bin', 'b.bin'), 'latin1');
+
+      await expectRejected(tampered);
+    });
+
+    test('reordered chunks', async () => {
+      const { prefix, records } = split(encrypted);
+
+      await expectRejected(Buffer.concat([prefix, records[1], records[0], records[2]]));
+    });
+
+    test('a dropped chunk', async () => {
+      const { prefix, records } = split(encrypted);
+
+      await expectRejected(Buffer.concat([prefix, records[0], records[2]]));
+    });
+
+    test('truncation at a chunk boundary', async () => {
+      const { prefix, records } = split(encrypted);
+
+      await expectRejected(Buffer.concat([prefix, records[0], records[1]]));
+    });
+
+    test('truncation inside a chunk', async () => {
+      await expectRejected(encrypted.subarray(0, encrypted.length - 5));
+    });
+
+    test('data ending before its header', async () => {
+      await expectRejected(encrypted.subarray(0, 10));
+    });
+
+    test('the wrong key', async () => {
+      await expectRejected(encrypted, 'cd'.repeat(32));
+    });
+  });
+});
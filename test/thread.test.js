@@ -0,0 +1,76 @@
+// test/thread.test.js
+const networks = require('../src/networks');
+const EACCConnector = require('../src/connector');
+const encryption = require('../src/encryption');
+const fakeMarketplace = require('../src/fake-marketplace');
+
+describe('getJobThread', () => {
+  let connector;
+  let creator;
+  let jobId;
+
+  /**
+   * Post a message from the job creator to the agent
+   * @param {string} text - Message text
+   */
+  async function postFromCreator(text) {
+    const agentPublicKey = await encryption.getEncryptionPublicKey(connector.wallet);
+    const sessionKey = await encryption.getSessionKey(creator, agentPublicKey, jobId);
+    const { hash } = await encryption.publishToIpfs(text, sessionKey);
+
+    fakeMarketplace.postThreadMessage(creator.address, jobId, encryption.cidToHash(hash), connector.wallet.address)();
+  }
+
+  beforeAll(async () => {
+    connector = networks.getDefault();
+    await connector.initialize();
+
+    creator = fakeMarketplace.createUser('Creator');
+    jobId = fakeMarketplace.createJob({ title: 'Thread test', content: 'Details' }, creator);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('decrypts every message of the thread', async () => {
+    await postFromCreator('first');
+    await postFromCreator('second');
+
+    const thread = await connector.getJobThread(jobId);
+
+    expect(thread.map(message => [message.index, message.sender, message.text])).toEqual([
+      [0, creator.address, 'first'],
+      [1, creator.address, 'second']
+    ]);
+  });
+
+  test('only downloads messages from the given index, keeping texts read before', async () => {
+    await postFromCreator('third');
+    const download = jest.spyOn(encryption, 'getFromIpfs');
+
+    const thread = await connector.getJobThread(jobId, 2);
+
+    expect(download).toHaveBeenCalledTimes(1);
+    expect(thread.map(message => message.text)).toEqual(['first', 'second', 'third']);
+  });
+
+  test('does not download anything when there is no new message', async () => {
+    const download = jest.spyOn(encryption, 'getFromIpfs');
+
+    await connector.getJobThread(jobId, 3);
+
+    expect(download).not.toHaveBeenCalled();
+  });
+
+  test('leaves earlier messages unread on a fresh connector', async () => {
+    const restarted = new EACCConnector(connector.network);
+    await restarted.initialize();
+    const download = jest.spyOn(encryption, 'getFromIpfs');
+
+    const thread = await restarted.getJobThread(jobId, 2);
+
+    expect(download).toHaveBeenCalledTimes(1);
+    expect(thread.map(message => message.text)).toEqual([null, null, 'third']);
+  });
+});
@@ -0,0 +1,170 @@
+// test/transactions.test.js
+const { ethers } = require('ethers');
+const TransactionManager = require('../src/transactions');
+
+const CONTRACT_ADDRESS = '0x000000000000000000000000000000000000dEaD';
+
+/**
+ * Create a provider stand-in that mines every transaction it accepts, unless told otherwise
+ * @param {Object} [options] - Options
+ * @param {number} [options.pendingNonce] - Nonce reported by getTransactionCount
+ * @param {Array<Error|null>} [options.broadcastResults] - Per broadcast: error to throw (after accepting the
+ *   transaction if the error has `accepted` set), or null to accept it
+ * @param {Function} [options.isMined] - Decides whether an accepted transaction gets a receipt
+ * @returns {Object} - Provider with the broadcast signed transactions in `broadcasts`
+ */
+function createProvider({ pendingNonce = 5, broadcastResults = [], isMined = () => true } = {}) {
+  const accepted = new Map(); // Map of hash to transaction
+  const provider = {
+    broadcasts: [],
+    getNetwork: jest.fn(async () => new ethers.Network('test', 1337n)),
+    getFeeData: jest.fn(async () => new ethers.FeeData(null, 100n, 10n)),
+    estimateGas: jest.fn(async () => 50000n),
+    getTransactionCount: jest.fn(async () => pendingNonce),
+    getTransaction: jest.fn(async hash => accepted.get(hash) || null),
+    getTransactionReceipt: jest.fn(async hash => {
+      const tx = accepted.get(hash);
+      return tx && isMined(tx) ? { hash, status: 1, blockNumber: 1, gasUsed: 21000n } : null;
+    }),
+    broadcastTransaction: jest.fn(async signed => {
+      const tx = ethers.Transaction.from(signed);
+      const result = broadcastResults[provider.broadcasts.length] || null;
+      provider.broadcasts.push(tx);
+
+      if (!result || result.accepted) {
+        accepted.set(tx.hash, { hash: tx.hash, nonce: tx.nonce });
+      }
+      if (result) throw result;
+
+      return accepted.get(tx.hash);
+    })
+  };
+
+  return provider;
+}
+
+/**
+ * Create an ethers-style error
+ * @param {string} code - Error code
+ * @param {boolean} [accepted] - Whether the node accepted the transaction before failing
+ * @returns {Error} - Error
+ */
+function rpcError(code, accepted = false) {
+  return Object.assign(new Error(code), { code, accepted });
+}
+
+/**
+ * Create a transaction manager for a fresh wallet on the given provider
+ * @param {Object} provider - Provider stand-in
+ * @returns {TransactionManager} - Initialized manager
+ */
+function createManager(provider) {
+  const manager = new TransactionManager('transactions-test');
+  manager.initialize(ethers.Wallet.createRandom().connect(provider));
+  return manager;
+}
+
+// Contract stand-in with one write method
+const contract = {
+  doWork: {
+    populateTransaction: async value => ({
+      to: CONTRACT_ADDRESS,
+      data: ethers.toBeHex(value, 32)
+    })
+  }
+};
+
+describe('TransactionManager', () => {
+  test('takes the pending nonce once and increments it for later sends', async () => {
+    const provider = createProvider({ pendingNonce: 5 });
+    const manager = createManager(provider);
+
+    await manager.send(contract, 'doWork', [1], { jobId: 1 });
+    await manager.send(contract, 'doWork', [2], { jobId: 1 });
+
+    expect(provider.broadcasts.map(tx => tx.nonce)).toEqual([5, 6]);
+    expect(provider.getTransactionCount).toHaveBeenCalledTimes(1);
+    expect(manager.getJobTransactions(1).map(record => record.status)).toEqual(['mined', 'mined']);
+  });
+
+  test('assigns distinct nonces to concurrent sends', async () => {
+    const provider = createProvider({ pendingNonce: 0 });
+    const manager = createManager(provider);
+
+    await Promise.all([1, 2, 3].map(value => manager.send(contract, 'doWork', [value])));
+
+    expect(provider.broadcasts.map(tx => tx.nonce).sort()).toEqual([0, 1, 2]);
+  });
+
+  test('does not re-sign a broadcast that timed out but reached the node', async () => {
+    const provider = createProvider({ broadcastResults: [rpcError('TIMEOUT', true)] });
+    const manager = createManager(provider);
+
+    const receipt = await manager.send(contract, 'doWork', [1]);
+
+    expect(provider.broadcasts).toHaveLength(1);
+    expect(receipt.hash).toBe(provider.broadcasts[0].hash);
+    expect(manager.nextNonce).toBe(6);
+  });
+
+  test('resends the same signed transaction after a transient failure', async () => {
+    const provider = createProvider({ broadcastResults: [rpcError('NETWORK_ERROR'), rpcError('SERVER_ERROR')] });
+    const manager = createManager(provider);
+
+    await manager.send(contract, 'doWork', [1]);
+
+    expect(provider.broadcasts).toHaveLength(3);
+    expect(new Set(provider.broadcasts.map(tx => tx.hash)).size).toBe(1);
+    expect(manager.nextNonce).toBe(6);
+  });
+
+  test('signs again with the pending nonce when ours was already used', async () => {
+    const provider = createProvider({ pendingNonce: 5, broadcastResults: [rpcError('NONCE_EXPIRED')] });
+    const manager = createManager(provider);
+    manager.nextNonce = 3;
+
+    await manager.send(contract, 'doWork', [1]);
+
+    expect(provider.broadcasts.map(tx => tx.nonce)).toEqual([3, 5]);
+    expect(manager.nextNonce).toBe(6);
+  });
+
+  test('gives up on errors that are not transient and takes the nonce from the chain again', async () => {
+    const provider = createProvider({ broadcastResults: [rpcError('INSUFFICIENT_FUNDS')] });
+    const manager = createManager(provider);
+
+    await expect(manager.send(contract, 'doWork', [1])).rejects.toThrow('INSUFFICIENT_FUNDS');
+
+    expect(provider.broadcasts).toHaveLength(1);
+    expect(manager.nextNonce).toBeNull();
+  });
+
+  test('replaces a stuck transaction with the same nonce and bumped fees', async () => {
+    const provider = createProvider({ isMined: tx => tx.hash !== provider.broadcasts[0].hash });
+    const manager = createManager(provider);
+
+    const receipt = await manager.send(contract, 'doWork', [1], { jobId: 2 });
+
+    const [original, replacement] = provider.broadcasts;
+    expect(provider.broadcasts).toHaveLength(2);
+    expect(replacement.nonce).toBe(original.nonce);
+    expect(replacement.maxFeePerGas).toBe(original.maxFeePerGas * 120n / 100n);
+    expect(replacement.maxPriorityFeePerGas).toBe(original.maxPriorityFeePerGas * 120n / 100n);
+    expect(receipt.hash).toBe(replacement.hash);
+    expect(manager.getJobTransactions(2).map(record => [record.hash, record.status])).toEqual([
+      [original.hash, 'replaced'],
+      [replacement.hash, 'mined']
+    ]);
+  });
+
+  test('reports a transaction that stays stuck after every replacement', async () => {
+    const provider = createProvider({ isMined: () => false });
+    const manager = createManager(provider);
+
+    await expect(manager.send(contract, 'doWork', [1])).rejects.toThrow('not mined after 3 replacements');
+
+    expect(provider.broadcasts).toHaveLength(4);
+    expect(new Set(provider.broadcasts.map(tx => tx.nonce))).toEqual(new Set([5]));
+    expect(manager.nextNonce).toBeNull();
+  });
+});